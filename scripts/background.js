@@ -8,8 +8,21 @@
  *    - Monitors active tab changes and URL navigation
  *    - Records time spent on each website in Chrome local storage
  *    - Excludes Chrome internal pages and extension pages
+ *    - Leaves out sites on the user's exclusion list (domains, wildcards,
+ *      /regex/ patterns or schemes), or records them as one anonymous
+ *      "Private" entry, and can purge matching time from past days
  *    - Filters out page visits shorter than 3 seconds
- *    - Normalizes URLs by removing query parameters
+ *    - Normalizes URLs by removing query parameters, or by per-domain rules
+ *      (domain only, first N path segments, full path, selected query params)
+ *    - Stops counting when the user goes idle or locks the screen
+ *    - Only counts time while a Chrome window has focus
+ *    - Checkpoints the open session every few seconds so a service worker
+ *      shutdown loses at most one checkpoint interval
+ *    - Splits sessions that cross local midnight between the days they span
+ *    - Records when each site was open, for a time-of-day timeline
+ *    - Applies the incognito policy: never track incognito tabs (default),
+ *      track them into separate buckets that are purged when the last
+ *      incognito window closes, or track them like any other tab
  *
  * 2. Tracking State Management:
  *    - Maintains global tracking enabled/disabled state
@@ -18,25 +31,84 @@
  *
  * 3. Auto-Resume Timer System:
  *    - Manages automatic tracking resumption after temporary pauses
+ *    - Scheduled with chrome.alarms so it survives worker termination
  *    - Coordinates with UI countdown timers
  *    - Sends notifications when tracking resumes automatically
+ *    - Pauses tracking on recurring "do not track" schedules (during or
+ *      outside a time window on chosen weekdays), checked every minute
+ *    - Optionally shows today's time or the current site's time on the
+ *      toolbar icon badge, with its own colors while paused or counting down
  *
- * 4. Automatic Data Cleanup:
- *    - Runs periodic cleanup every 6 hours to remove old data
- *    - Maintains 3 months of data (current month + 2 previous months)
+ * 4. Daily Time Budgets:
+ *    - Compares today's time per domain or URL pattern against user budgets
+ *    - Notifies once per day when each warning threshold is crossed
+ *
+ * 5. Focus Mode:
+ *    - Redirects blocklisted sites to an extension page while focus mode is on
+ *    - Optionally blocks sites that are over their daily budget
+ *    - Supports a 5-minute snooze and records every blocked attempt
+ *
+ * 6. Site Categories and Ratings:
+ *    - Maps site patterns to user-defined categories (Work, Social, News...),
+ *      starting from a built-in starter list
+ *    - Rates site patterns as productive, neutral or distracting for the
+ *      daily productivity score
+ *    - Answers category and rating lookups for the statistics page
+ *
+ * 7. Automatic Data Cleanup:
+ *    - Runs periodic cleanup every 6 hours to remove old data (chrome.alarms)
+ *    - Keeps the current month plus a user-chosen number of previous months
+ *      (default 3), or everything when retention is unlimited
+ *    - Optionally compacts days older than a threshold into monthly summaries
+ *      (domain totals + top URLs) while the rest of the history stays daily
+ *    - Optionally archives deleted days into monthly summaries first
  *    - Operates transparently without user intervention
+ *    - Monitors storage use, warns near the chrome.storage.local quota, and
+ *      compacts or evicts the oldest months instead of dropping new time
+ *
+ * 8. Data Export and Import:
+ *    - Hands the daily buckets for a date range to the options page, which
+ *      downloads them as CSV or JSON
+ *    - Validates and restores JSON exports by summing, keeping the larger
+ *      value per URL, or replacing whole days, with a dry run first
  *
- * 5. Extension Lifecycle:
+ * 9. Extension Lifecycle:
  *    - Handles extension installation and startup
- *    - Opens welcome page when extension icon is clicked
+ *    - Answers the toolbar popup with the live session and today's top sites
  *    - Manages message passing between UI and background contexts
  *
  * Data Storage Structure:
  * - `data_YYYY-MM-DD`: Daily website time data (URL -> milliseconds)
  * - `isTracking`: Boolean tracking state
+ * - `activeSession`: The open session ({ url, startTime, lastCheckpoint, incognito }) for recovery
  * - `autoResumeTimer`: Timer state for auto-resume functionality
  * - `lastAutomaticCleanup`: Metadata about cleanup operations
+ * - `scheduledJobs`: Next run time and period of each chrome.alarms job
+ * - `siteBudgets`: Daily budgets ([{ pattern, minutesPerDay }])
+ * - `budgetWarningThresholds`: Percentages of a budget that trigger a notification
+ * - `budgetAlerts`: Thresholds already notified today ({ date, fired: { pattern: [80] } })
+ * - `urlRules`: Per-domain URL normalization rules ([{ pattern, mode, segments, queryParams, keepHash }])
+ * - `focusMode`: Focus mode settings ({ enabled, scheduleEnabled, schedule, blockOverBudget })
+ * - `focusBlockList` / `focusAllowList`: Site patterns blocked or always allowed
+ * - `focusSnoozes`: Hosts whose block is snoozed, mapped to the snooze end time
+ * - `blocked_YYYY-MM-DD`: Blocked attempts per day ([{ url, timestamp, reason }])
+ * - `incognito_YYYY-MM-DD`: Incognito time per day (URL -> milliseconds), kept only while an incognito window is open
+ * - `incognitoPolicy`: How incognito tabs are tracked ('never', 'separate' or 'normal')
+ * - `sessions_YYYY-MM-DD`: Time-of-day intervals per day ([{ url, start, end }], contiguous ones merged)
  * - `showWelcomeOnStartup`: User preference for showing welcome page
+ * - `idleThresholdSeconds`: Seconds without input before the user counts as idle
+ * - `countMediaAsActive`: Whether a media-playing tab keeps the session alive while idle
+ * - `dataRetentionMonths`: Full months of daily data to keep before the current one (0 = unlimited)
+ * - `archiveBeforeDelete`: Whether cleanup archives days into monthly summaries before deleting them
+ * - `compactAfterMonths`: Months of daily detail to keep before days are compacted into summaries (0 = never)
+ * - `storageAlert`: Day the near-quota warning was last shown ({ date })
+ * - `siteCategories`: Site pattern to category mapping ([{ pattern, category }]); unset means the starter list
+ * - `pauseSchedules`: Recurring do-not-track windows ([{ mode: 'during' | 'outside', days, start, end }])
+ * - `badgeMode`: What the toolbar badge shows ('off', 'today' or 'site')
+ * - `siteRatings`: Site pattern to productivity rating ([{ pattern, rating }]); unrated sites count as neutral
+ * - `excludedSites`: Patterns of sites that are never recorded by name ([pattern])
+ * - `excludedSiteMode`: Whether excluded sites are skipped ('skip') or recorded as the "Private" entry ('private')
+ * - `summary_YYYY-MM`: Archived month ({ days: { date: ms }, totalMs, domains: { host: ms }, topUrls: { url: ms } })
  *
  * @author Chrome Time Tracker Team
  * @version 1.0
@@ -45,56 +117,181 @@
 // ==================== CONSTANTS ====================
 
 const CONFIG = {
-    DATA_RETENTION_MONTHS: 3,      // Keep current month + 2 previous months
+    DEFAULT_DATA_RETENTION_MONTHS: 3, // Keep current month + 3 previous months; 0 keeps everything
+    DEFAULT_COMPACT_AFTER_MONTHS: 0, // Never compact unless the user opts in
     CLEANUP_INTERVAL_HOURS: 6,     // Run cleanup every 6 hours
-    EXCLUDED_URL_PREFIXES: ['chrome://', 'chrome-extension://'],
-    MIN_VISIT_DURATION_MS: 3000    // Minimum 3 seconds to record a visit
+    EXCLUDED_URL_PREFIXES: ['chrome://', 'chrome-extension://'], // Always excluded, on top of the user's list
+    DEFAULT_EXCLUDED_SITE_MODE: 'skip',
+    PRIVATE_BUCKET_URL: 'Private', // Recorded in place of excluded sites in 'private' mode
+    MIN_VISIT_DURATION_MS: 3000,   // Minimum 3 seconds to record a visit
+    DEFAULT_IDLE_THRESHOLD_SECONDS: 300, // Treat 5 minutes without input as idle
+    MIN_IDLE_THRESHOLD_SECONDS: 15, // Lowest interval chrome.idle accepts
+    SESSION_CHECKPOINT_INTERVAL_MS: 5000, // Flush the open session every 5 seconds
+    DEFAULT_BUDGET_WARNING_THRESHOLDS: [80, 100], // Percent of a daily budget
+    FOCUS_SNOOZE_MINUTES: 5,
+    MAX_BLOCKED_ATTEMPTS_PER_DAY: 500,
+    DAILY_KEY_PREFIXES: ['data_', 'blocked_', 'sessions_', 'incognito_'], // Per-day keys removed by cleanup
+    DEFAULT_INCOGNITO_POLICY: 'never',
+    SESSION_MERGE_GAP_MS: 1000, // Intervals of the same URL closer than this are stored as one
+    NOTIFICATION_ICON: '../assets/icon48.png',
+    EXPORT_FORMAT: 'chrome-time-tracker-export', // Identifies our JSON exports
+    EXPORT_VERSION: 1,
+    SUMMARY_TOP_URLS: 20, // URLs kept by name in a monthly summary; the rest only count toward domains
+    STORAGE_CHECK_INTERVAL_MINUTES: 60,
+    STORAGE_WARNING_RATIO: 0.8,   // Notify when this share of the quota is used
+    STORAGE_EMERGENCY_RATIO: 0.95, // Start freeing space without waiting for a failed write
+    STORAGE_TARGET_RATIO: 0.7,    // Free space down to this share of the quota
+    POPUP_TOP_SITES: 5,
+    DEFAULT_BADGE_MODE: 'off',
+    BADGE_REFRESH_MINUTES: 1,
+    PAUSE_SCHEDULE_CHECK_MINUTES: 1,
+    BADGE_COLORS: { tracking: '#667eea', paused: '#718096', countdown: '#d69e2e' }
 };
 
+const PRODUCTIVITY_RATINGS = ['productive', 'neutral', 'distracting'];
+const BADGE_MODES = ['off', 'today', 'site'];
+const PAUSE_SCHEDULE_MODES = ['during', 'outside'];
+const INCOGNITO_POLICIES = ['never', 'separate', 'normal'];
+const EXCLUDED_SITE_MODES = ['skip', 'private'];
+
+// Starter mapping used until the user saves their own. Order matters: the
+// first matching pattern wins, so specific entries come before wildcards.
+const DEFAULT_SITE_CATEGORIES = [
+    { pattern: 'github.com', category: 'Work' },
+    { pattern: 'gitlab.com', category: 'Work' },
+    { pattern: 'atlassian.net', category: 'Work' },
+    { pattern: 'slack.com', category: 'Work' },
+    { pattern: 'notion.so', category: 'Work' },
+    { pattern: 'figma.com', category: 'Work' },
+    { pattern: 'docs.google.com', category: 'Work' },
+    { pattern: 'mail.google.com', category: 'Work' },
+    { pattern: 'outlook.office.com', category: 'Work' },
+    { pattern: 'news.google.com', category: 'News' },
+    { pattern: 'stackoverflow.com', category: 'Reference' },
+    { pattern: 'stackexchange.com', category: 'Reference' },
+    { pattern: 'developer.mozilla.org', category: 'Reference' },
+    { pattern: 'wikipedia.org', category: 'Reference' },
+    { pattern: 'facebook.com', category: 'Social' },
+    { pattern: 'instagram.com', category: 'Social' },
+    { pattern: 'twitter.com', category: 'Social' },
+    { pattern: 'x.com', category: 'Social' },
+    { pattern: 'linkedin.com', category: 'Social' },
+    { pattern: 'reddit.com', category: 'Social' },
+    { pattern: 'tiktok.com', category: 'Social' },
+    { pattern: 'news.ycombinator.com', category: 'News' },
+    { pattern: 'bbc.co.uk', category: 'News' },
+    { pattern: 'bbc.com', category: 'News' },
+    { pattern: 'nytimes.com', category: 'News' },
+    { pattern: 'theguardian.com', category: 'News' },
+    { pattern: 'reuters.com', category: 'News' },
+    { pattern: 'cnn.com', category: 'News' },
+    { pattern: 'news.*', category: 'News' },
+    { pattern: 'youtube.com', category: 'Entertainment' },
+    { pattern: 'netflix.com', category: 'Entertainment' },
+    { pattern: 'twitch.tv', category: 'Entertainment' },
+    { pattern: 'spotify.com', category: 'Entertainment' },
+    { pattern: 'disneyplus.com', category: 'Entertainment' },
+    { pattern: 'amazon.com', category: 'Shopping' },
+    { pattern: 'ebay.com', category: 'Shopping' }
+];
+
 // ==================== STATE MANAGEMENT ====================
 
 class TrackingState {
     constructor() {
         this.currentUrl = '';
         this.startTime = 0;
+        this.lastCheckpoint = 0;
+        this.heartbeatIntervalId = null;
         this.isTracking = true;
-        this.autoResumeTimeoutId = null;
+        this.isIdle = false;
+        this.idleDeferredForMedia = false;
+        this.hasFocus = true;
+        this.focusedWindowId = null;
+        this.idleThresholdSeconds = CONFIG.DEFAULT_IDLE_THRESHOLD_SECONDS;
+        this.countMediaAsActive = true;
+        this.siteBudgets = [];
+        this.budgetWarningThresholds = [...CONFIG.DEFAULT_BUDGET_WARNING_THRESHOLDS];
+        this.focusMode = { enabled: false, scheduleEnabled: false, schedule: null, blockOverBudget: false };
+        this.focusBlockList = [];
+        this.focusAllowList = [];
+        this.urlRules = [];
+        this.dataRetentionMonths = CONFIG.DEFAULT_DATA_RETENTION_MONTHS;
+        this.archiveBeforeDelete = false;
+        this.compactAfterMonths = CONFIG.DEFAULT_COMPACT_AFTER_MONTHS;
+        this.siteCategories = [...DEFAULT_SITE_CATEGORIES];
+        this.siteRatings = [];
+        this.badgeMode = CONFIG.DEFAULT_BADGE_MODE;
+        this.pauseSchedules = [];
+        this.scheduledPause = false; // Inside a do-not-track schedule right now
+        this.incognitoPolicy = CONFIG.DEFAULT_INCOGNITO_POLICY;
+        this.currentIncognito = false; // The open session goes to the incognito bucket
+        this.excludedSites = [];
+        this.excludedSiteMode = CONFIG.DEFAULT_EXCLUDED_SITE_MODE;
     }
 
     reset() {
         this.currentUrl = '';
         this.startTime = 0;
+        this.lastCheckpoint = 0;
+        this.currentIncognito = false;
     }
 
-    setCurrentSession(url, startTime) {
+    setCurrentSession(url, startTime, lastCheckpoint = startTime, incognito = false) {
         this.currentUrl = url;
         this.startTime = startTime;
+        this.lastCheckpoint = lastCheckpoint;
+        this.currentIncognito = incognito;
     }
 
-    getCurrentSession() {
+    getCurrentSession(endTime = Date.now()) {
         return {
             url: this.currentUrl,
             startTime: this.startTime,
-            duration: this.startTime > 0 ? Date.now() - this.startTime : 0
+            duration: this.startTime > 0 ? Math.max(0, endTime - this.startTime) : 0,
+            incognito: this.currentIncognito
         };
     }
 
+    hasActiveSession() {
+        return Boolean(this.currentUrl) && this.startTime > 0;
+    }
+
+    canTrack() {
+        return this.isTracking && !this.scheduledPause && !this.isIdle && this.hasFocus;
+    }
+
+    isFocusedWindow(windowId) {
+        return this.focusedWindowId === null || windowId === this.focusedWindowId;
+    }
+
     isValidUrl(url) {
         if (!url) return false;
         return !CONFIG.EXCLUDED_URL_PREFIXES.some(prefix => url.startsWith(prefix));
     }
 
+    isExcludedUrl(url) {
+        return this.excludedSites.some(pattern => matchesExclusionPattern(url, pattern));
+    }
+
+    // The URL a page is recorded under: normalized, the Private entry, or null for a skipped site
+    getRecordedUrl(url) {
+        if (!this.isExcludedUrl(url)) return this.normalizeUrl(url);
+        return this.excludedSiteMode === 'private' ? CONFIG.PRIVATE_BUCKET_URL : null;
+    }
+
     isValidDuration(durationMs) {
         return durationMs >= CONFIG.MIN_VISIT_DURATION_MS;
     }
 
-    normalizeUrl(url) {
+    normalizeUrl(url, rules = this.urlRules) {
         if (!url) return url;
 
         try {
             const urlObj = new URL(url);
-            // Return URL without query parameters or fragments
-            return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+            const rule = rules.find(r => matchesUrlPattern(url, r.pattern));
+            // Without a rule, return URL without query parameters or fragments
+            return applyUrlRule(urlObj, rule || { mode: 'path' });
         } catch (error) {
             console.warn('⚠️ Background: Failed to parse URL, using original:', url);
             return url;
@@ -106,45 +303,52 @@ const trackingState = new TrackingState();
 
 // ==================== EXTENSION LIFECYCLE ====================
 
+let initializationPromise = null;
+
 chrome.runtime.onStartup.addListener(() => {
     console.log('🚀 Background: Extension startup');
-    initializeExtension();
+    ensureInitialized();
 });
 
 chrome.runtime.onInstalled.addListener(() => {
     console.log('🚀 Background: Extension installed');
-    initializeExtension();
+    ensureInitialized();
 });
 
-chrome.action.onClicked.addListener(async () => {
-    console.log('🎯 Extension icon clicked');
-
-    try {
-        // Check user preference for showing welcome page
-        const result = await chrome.storage.local.get(['showWelcomeOnStartup']);
-        const showWelcome = result.showWelcomeOnStartup !== false; // Default to true
-
-        const targetPage = showWelcome ? 'pages/welcome.html' : 'pages/statistics.html';
-
-        chrome.tabs.create({
-            url: chrome.runtime.getURL(targetPage)
-        });
-
-        console.log(`📖 Opening ${showWelcome ? 'welcome' : 'statistics'} page`);
-    } catch (error) {
-        console.error('❌ Error checking welcome preference, defaulting to welcome page:', error);
-        // Fallback to welcome page if there's an error
-        chrome.tabs.create({
-            url: chrome.runtime.getURL('pages/welcome.html')
-        });
+/**
+ * The service worker is started for every event, not just browser startup, so
+ * initialization runs once per worker lifetime and event handlers wait for it.
+ */
+function ensureInitialized() {
+    if (!initializationPromise) {
+        initializationPromise = initializeExtension();
     }
-});
+    return initializationPromise;
+}
 
 async function initializeExtension() {
     try {
         await loadTrackingState();
+        await loadIdleSettings();
+        await loadBudgetSettings();
+        await loadFocusSettings();
+        await loadUrlRules();
+        await loadRetentionSettings();
+        await loadCategorySettings();
+        await loadRatingSettings();
+        await loadBadgeSettings();
+        await loadPauseSchedules();
+        await loadIncognitoPolicy();
+        await loadExcludedSites();
+        await loadWindowFocusState();
+        await purgeIncognitoDataIfClosed();
+        await recoverActiveSession();
         await restoreAutoResumeTimer();
-        startAutomaticCleanup();
+        await startAutomaticCleanup();
+        await startStorageMonitor();
+        await startPauseSchedules();
+        await startBadgeUpdates();
+        await runMissedJobs();
         console.log('✅ Background: Extension initialized');
     } catch (error) {
         console.error('❌ Background: Initialization failed:', error);
@@ -177,329 +381,2387 @@ async function saveTrackingState(isTracking) {
 // ==================== URL TRACKING ====================
 
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
-    if (!trackingState.isTracking) return;
+    await ensureInitialized();
 
     try {
         const tab = await chrome.tabs.get(activeInfo.tabId);
-        handleUrlChange(tab.url);
+        if (await enforceFocusMode(tab.id, tab.url, tab.incognito)) return;
+
+        if (!trackingState.canTrack()) return;
+        if (!trackingState.isFocusedWindow(activeInfo.windowId)) return;
+
+        handleUrlChange(tab.url, tab.incognito);
     } catch (error) {
         console.error('❌ Background: Error getting active tab:', error);
     }
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (!trackingState.isTracking) return;
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    await ensureInitialized();
+
+    // Redirect as soon as the navigation is known rather than after the page loads
+    if (changeInfo.url && await enforceFocusMode(tabId, changeInfo.url, tab.incognito)) return;
+
+    if (changeInfo.audible === false && tab.active && trackingState.idleDeferredForMedia) {
+        handleMediaStoppedWhileIdle();
+        return;
+    }
 
-    if (changeInfo.status === 'complete' && tab.active && tab.url) {
-        handleUrlChange(tab.url);
+    if (!trackingState.canTrack()) return;
+
+    if (changeInfo.status === 'complete' && tab.active && tab.url &&
+        trackingState.isFocusedWindow(tab.windowId)) {
+        handleUrlChange(tab.url, tab.incognito);
     }
 });
 
-function handleUrlChange(rawUrl) {
+function handleUrlChange(rawUrl, incognito = false) {
     if (!trackingState.isValidUrl(rawUrl)) {
         return;
     }
 
-    // Normalize URL by removing query parameters
-    const normalizedUrl = trackingState.normalizeUrl(rawUrl);
+    // An untracked incognito tab in front still ends the previous session
+    if (incognito && trackingState.incognitoPolicy === 'never') {
+        endCurrentSession();
+        return;
+    }
+
+    // Normalize URL by removing query parameters, or swap in the Private entry for an excluded site
+    const normalizedUrl = trackingState.getRecordedUrl(rawUrl);
     const now = Date.now();
 
     // Save time for previous URL session if it meets minimum duration
-    if (trackingState.currentUrl && trackingState.startTime > 0) {
-        const session = trackingState.getCurrentSession();
+    endCurrentSession(now);
 
-        if (trackingState.isValidDuration(session.duration)) {
-            saveTimeData(session.url, session.duration);
-        } else {
-            console.log(`⏭️ Background: Skipping short visit (${Math.round(session.duration/1000)}s) to ${session.url}`);
-        }
+    // Skipped sites close the previous session without opening one
+    if (!normalizedUrl) {
+        updateBadge();
+        console.log('🙈 Background: Not tracking an excluded site');
+        return;
     }
 
     // Start tracking new URL (use normalized URL)
-    trackingState.setCurrentSession(normalizedUrl, now);
+    const separateBucket = incognito && trackingState.incognitoPolicy === 'separate';
+    trackingState.setCurrentSession(normalizedUrl, now, now, separateBucket);
+    persistActiveSession();
+    startSessionHeartbeat();
+    updateBadge();
 
     // Log both URLs for debugging if they're different
-    if (rawUrl !== normalizedUrl) {
+    if (incognito) {
+        console.log('📊 Background: Now tracking:', describeUrlForLog(normalizedUrl, true));
+    } else if (rawUrl !== normalizedUrl) {
         console.log(`📊 Background: Now tracking: ${normalizedUrl} (normalized from ${rawUrl})`);
     } else {
         console.log('📊 Background: Now tracking:', normalizedUrl);
     }
 }
 
-async function saveTimeData(url, timeMs) {
-    if (timeMs <= 0) return;
+/**
+ * Closes the open session at `endTime` and saves its duration if it meets the
+ * minimum visit threshold. `endTime` may lie in the past, e.g. when the user
+ * went idle some time before the idle event was delivered. Heartbeats may have
+ * already flushed part of the session up to `lastCheckpoint`, so only the
+ * difference is saved, or taken back when the checkpoint is past the end.
+ */
+async function endCurrentSession(endTime = Date.now()) {
+    if (!trackingState.hasActiveSession()) return;
+
+    const session = trackingState.getCurrentSession(endTime);
+    const flushedUntil = trackingState.lastCheckpoint;
+    trackingState.reset();
+    stopSessionHeartbeat();
+    persistActiveSession();
+
+    const isValid = trackingState.isValidDuration(session.duration);
+    if (!isValid) {
+        console.log(`⏭️ Background: Skipping short visit (${Math.round(session.duration/1000)}s) to ${describeUrlForLog(session.url, session.incognito)}`);
+    }
 
-    try {
-        const today = getLocalDateString(new Date());
-        const key = `data_${today}`;
+    const recordedUntil = isValid ? session.startTime + session.duration : session.startTime;
+    if (recordedUntil > flushedUntil) {
+        await saveTimeData(session.url, flushedUntil, recordedUntil, session.incognito);
+    } else if (recordedUntil < flushedUntil) {
+        await retractTimeData(session.url, recordedUntil, flushedUntil, session.incognito);
+    }
+}
 
-        const result = await chrome.storage.local.get([key]);
-        const data = result[key] || {};
+async function trackCurrentTab() {
+    const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tabs.length > 0 && tabs[0].url) {
+        handleUrlChange(tabs[0].url, tabs[0].incognito);
+    }
+}
 
-        data[url] = (data[url] || 0) + timeMs;
+/**
+ * Adds the time between `startTime` and `endTime` to the URL's daily totals
+ * and records the interval itself for the time-of-day timeline. The interval
+ * is split at local midnight so each day's bucket only receives the part that
+ * happened on that day. Incognito time goes to its own bucket and is left out
+ * of the timeline.
+ */
+async function saveTimeData(url, startTime, endTime, incognito = false) {
+    return applyTimeInterval(url, startTime, endTime, 1, incognito);
+}
 
-        await chrome.storage.local.set({ [key]: data });
-        console.log(`💾 Background: Saved ${Math.round(timeMs/1000)}s for ${url}`);
-    } catch (error) {
-        console.error('❌ Background: Error saving time data:', error);
-    }
+/**
+ * Takes back time between `startTime` and `endTime` that a heartbeat already
+ * saved, e.g. the idle period before an idle event was delivered.
+ */
+async function retractTimeData(url, startTime, endTime, incognito = false) {
+    return applyTimeInterval(url, startTime, endTime, -1, incognito);
 }
 
-// ==================== MESSAGE HANDLING ====================
+async function applyTimeInterval(url, startTime, endTime, direction, incognito = false) {
+    if (endTime <= startTime) return;
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log('📡 Background: Received message:', message.action);
+    const prefix = incognito ? 'incognito_' : 'data_';
 
-    const handlers = {
-        'getTrackingState': handleGetTrackingState,
-        'enableTracking': handleEnableTracking,
-        'disableTracking': handleDisableTracking,
-        'startAutoResumeTimer': handleStartAutoResumeTimer,
-        'cancelAutoResumeTimer': handleCancelAutoResumeTimer
-    };
+    return enqueueStorageWrite(async () => {
+        try {
+            const segments = splitIntervalByDay(startTime, endTime);
+            const keys = segments.flatMap(segment => [`${prefix}${segment.dateStr}`, `sessions_${segment.dateStr}`]);
+            const result = await chrome.storage.local.get(keys);
+            const updates = {};
+
+            segments.forEach(({ dateStr, durationMs, startTime: segmentStart, endTime: segmentEnd }) => {
+                const key = `${prefix}${dateStr}`;
+                const data = updates[key] || result[key] || {};
+                const total = Math.max(0, (data[url] || 0) + direction * durationMs);
+
+                if (total > 0) {
+                    data[url] = total;
+                } else {
+                    delete data[url];
+                }
+                updates[key] = data;
+                if (incognito) return;
+
+                const sessionsKey = `sessions_${dateStr}`;
+                const sessions = result[sessionsKey] || [];
+                updates[sessionsKey] = direction > 0
+                    ? addSessionInterval(sessions, url, segmentStart, segmentEnd)
+                    : removeSessionInterval(sessions, url, segmentStart, segmentEnd);
+            });
+
+            await setWithQuotaFallback(updates);
+
+            const summary = segments.map(({ dateStr, durationMs }) => `${Math.round(durationMs/1000)}s on ${dateStr}`).join(', ');
+            console.log(`💾 Background: ${direction > 0 ? 'Saved' : 'Retracted'} ${summary} for ${describeUrlForLog(url, incognito)}`);
+        } catch (error) {
+            console.error('❌ Background: Error saving time data:', error);
+        }
+    });
+}
 
-    const handler = handlers[message.action];
-    if (handler) {
-        handler(message, sendResponse);
-        return true; // Keep message channel open for async response
+/**
+ * Appends an interval to a day's timeline. Heartbeat checkpoints save a
+ * session in consecutive slices, so a slice that continues the latest
+ * interval of the same URL extends it instead of adding a new entry.
+ */
+function addSessionInterval(sessions, url, start, end) {
+    const last = sessions[sessions.length - 1];
+
+    if (last && last.url === url && Math.abs(start - last.end) <= CONFIG.SESSION_MERGE_GAP_MS) {
+        last.end = Math.max(last.end, end);
+    } else {
+        sessions.push({ url, start, end });
     }
 
-    console.warn('⚠️ Background: Unknown message action:', message.action);
-    sendResponse({ success: false, error: 'Unknown action' });
-    return false;
-});
+    return sessions;
+}
 
-async function handleGetTrackingState(message, sendResponse) {
-    try {
-        sendResponse({ isTracking: trackingState.isTracking });
-    } catch (error) {
-        console.error('❌ Background: Error getting tracking state:', error);
-        sendResponse({ isTracking: false });
-    }
+/**
+ * Cuts `start`..`end` out of the URL's intervals, splitting an interval in
+ * two if the retracted time lies inside it.
+ */
+function removeSessionInterval(sessions, url, start, end) {
+    return sessions.flatMap(session => {
+        if (session.url !== url || session.end <= start || session.start >= end) {
+            return [session];
+        }
+
+        const remaining = [];
+        if (session.start < start) remaining.push({ url, start: session.start, end: start });
+        if (session.end > end) remaining.push({ url, start: end, end: session.end });
+        return remaining;
+    });
 }
 
-async function handleEnableTracking(message, sendResponse) {
-    try {
-        await saveTrackingState(true);
+// ==================== SESSION PERSISTENCE ====================
 
-        // Start tracking current tab if available
-        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length > 0 && tabs[0].url) {
-            handleUrlChange(tabs[0].url);
-        }
+let storageWriteQueue = Promise.resolve();
 
-        console.log('✅ Background: Tracking enabled');
-        sendResponse({ success: true });
-    } catch (error) {
-        console.error('❌ Background: Error enabling tracking:', error);
-        sendResponse({ success: false, error: error.message });
-    }
+/**
+ * Runs read-modify-write storage operations one at a time so that a heartbeat
+ * and a session change can't overwrite each other's update of the same key.
+ */
+function enqueueStorageWrite(operation) {
+    const result = storageWriteQueue.then(operation);
+    storageWriteQueue = result.catch(() => {});
+    return result;
 }
 
-async function handleDisableTracking(message, sendResponse) {
-    try {
-        // Save current session before disabling (if it meets minimum duration)
-        if (trackingState.currentUrl && trackingState.startTime > 0) {
-            const session = trackingState.getCurrentSession();
+function persistActiveSession() {
+    const session = trackingState.hasActiveSession()
+        ? {
+            url: trackingState.currentUrl,
+            startTime: trackingState.startTime,
+            lastCheckpoint: trackingState.lastCheckpoint,
+            incognito: trackingState.currentIncognito
+        }
+        : null;
 
-            if (trackingState.isValidDuration(session.duration)) {
-                await saveTimeData(session.url, session.duration);
+    return enqueueStorageWrite(async () => {
+        try {
+            if (session) {
+                await chrome.storage.local.set({ activeSession: session });
             } else {
-                console.log(`⏭️ Background: Current session too short (${Math.round(session.duration/1000)}s), not saving`);
+                await chrome.storage.local.remove(['activeSession']);
             }
+        } catch (error) {
+            console.error('❌ Background: Error persisting active session:', error);
         }
+    });
+}
 
-        await saveTrackingState(false);
-        trackingState.reset();
+function startSessionHeartbeat() {
+    if (trackingState.heartbeatIntervalId) return;
 
-        const autoResumeMinutes = message.autoResumeMinutes || 0;
-        console.log(`⏸️ Background: Tracking disabled${autoResumeMinutes ? ` with ${autoResumeMinutes} minute auto-resume` : ''}`);
-        sendResponse({ success: true });
-    } catch (error) {
-        console.error('❌ Background: Error disabling tracking:', error);
-        sendResponse({ success: false, error: error.message });
-    }
+    // A sub-minute interval is below what chrome.alarms allows; if the worker is
+    // terminated the interval dies with it and recoverActiveSession takes over.
+    trackingState.heartbeatIntervalId = setInterval(() => {
+        checkpointActiveSession();
+    }, CONFIG.SESSION_CHECKPOINT_INTERVAL_MS);
 }
 
-function handleStartAutoResumeTimer(message, sendResponse) {
-    startBackgroundAutoResumeTimer(message.endTime);
-    sendResponse({ success: true });
+function stopSessionHeartbeat() {
+    if (trackingState.heartbeatIntervalId) {
+        clearInterval(trackingState.heartbeatIntervalId);
+        trackingState.heartbeatIntervalId = null;
+    }
 }
 
-function handleCancelAutoResumeTimer(message, sendResponse) {
-    cancelBackgroundAutoResumeTimer();
-    sendResponse({ success: true });
-}
+async function checkpointActiveSession() {
+    if (!trackingState.hasActiveSession()) {
+        stopSessionHeartbeat();
+        return;
+    }
 
-// ==================== AUTO-RESUME TIMER MANAGEMENT ====================
+    const now = Date.now();
+    const session = trackingState.getCurrentSession(now);
 
-function startBackgroundAutoResumeTimer(endTime) {
-    console.log('⏰ Background: Starting auto-resume timer');
+    // Short visits are not recorded at all, so wait until the minimum is reached
+    if (!trackingState.isValidDuration(session.duration)) return;
 
-    cancelBackgroundAutoResumeTimer(); // Clear any existing timer
+    const previousCheckpoint = trackingState.lastCheckpoint;
+    trackingState.lastCheckpoint = now;
 
-    const delay = endTime - Date.now();
+    persistActiveSession();
+    await saveTimeData(session.url, previousCheckpoint, now, session.incognito);
+    await checkSiteBudgets();
+    await enforceFocusModeOnActiveTab();
+}
 
-    if (delay <= 0) {
-        executeAutoResume();
-        return;
-    }
+/**
+ * Picks up a session that was open when the previous worker instance stopped.
+ * Time up to its last checkpoint is already saved. If the worker restarted
+ * within a couple of checkpoint intervals and the same page is still in front
+ * of the user, the session simply continues; otherwise it is closed there.
+ */
+async function recoverActiveSession() {
+    try {
+        const result = await chrome.storage.local.get(['activeSession']);
+        const saved = result.activeSession;
+
+        if (!saved?.url || !saved.startTime) return;
+
+        const gapMs = Date.now() - saved.lastCheckpoint;
+        const tabs = trackingState.canTrack()
+            ? await chrome.tabs.query({ active: true, lastFocusedWindow: true })
+            : [];
+        const currentUrl = tabs.length > 0 && trackingState.isValidUrl(tabs[0].url)
+            ? trackingState.getRecordedUrl(tabs[0].url) || ''
+            : '';
+        const sameBucket = Boolean(saved.incognito) === (tabs[0]?.incognito === true && trackingState.incognitoPolicy === 'separate');
+
+        if (gapMs <= CONFIG.SESSION_CHECKPOINT_INTERVAL_MS * 2 && currentUrl === saved.url && sameBucket) {
+            trackingState.setCurrentSession(saved.url, saved.startTime, saved.lastCheckpoint, Boolean(saved.incognito));
+            startSessionHeartbeat();
+            console.log('♻️ Background: Resumed session for', describeUrlForLog(saved.url, saved.incognito));
+            return;
+        }
 
-    trackingState.autoResumeTimeoutId = setTimeout(() => {
-        executeAutoResume();
-    }, delay);
+        await persistActiveSession();
+        console.log(`♻️ Background: Closed session for ${describeUrlForLog(saved.url, saved.incognito)} at its last checkpoint (${Math.round(gapMs/1000)}s ago)`);
 
-    console.log(`⏰ Background: Timer set for ${Math.round(delay / 1000)} seconds`);
+        if (currentUrl) {
+            handleUrlChange(tabs[0].url, tabs[0].incognito);
+        }
+    } catch (error) {
+        console.error('❌ Background: Error recovering active session:', error);
+    }
 }
 
-function cancelBackgroundAutoResumeTimer() {
-    if (trackingState.autoResumeTimeoutId) {
-        clearTimeout(trackingState.autoResumeTimeoutId);
-        trackingState.autoResumeTimeoutId = null;
-        console.log('🚫 Background: Auto-resume timer cancelled');
+/**
+ * Today's data as the popup and badge should show it: stored time plus the
+ * part of the open session that hasn't been checkpointed yet. Visits still
+ * under the minimum duration are left out, as they may never be recorded.
+ */
+async function getLiveTodayData() {
+    const now = Date.now();
+    const dateKey = `data_${getLocalDateString(new Date(now))}`;
+    const result = await chrome.storage.local.get([dateKey]);
+    const data = { ...(result[dateKey] || {}) };
+
+    const session = trackingState.hasActiveSession() ? trackingState.getCurrentSession(now) : null;
+    if (session && !session.incognito && trackingState.isValidDuration(session.duration)) {
+        const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+        const unsavedMs = now - Math.max(trackingState.lastCheckpoint, startOfToday);
+        data[session.url] = (data[session.url] || 0) + Math.max(0, unsavedMs);
     }
+
+    return { data, session };
 }
 
-async function executeAutoResume() {
-    console.log('✅ Background: Executing auto-resume');
+// Returns { session, todayTotalMs, topSites: [{ host, timeMs }] } for the popup
+async function getLiveTodaySummary() {
+    const { data, session } = await getLiveTodayData();
 
-    try {
-        await saveTrackingState(true);
-        await chrome.storage.local.remove(['autoResumeTimer']);
-        trackingState.autoResumeTimeoutId = null;
+    const hostTotals = new Map();
+    let todayTotalMs = 0;
+    Object.entries(data).forEach(([url, timeMs]) => {
+        const host = getHostname(url);
+        hostTotals.set(host, (hostTotals.get(host) || 0) + timeMs);
+        todayTotalMs += timeMs;
+    });
 
-        // Start tracking current tab
-        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length > 0 && tabs[0].url) {
-            handleUrlChange(tabs[0].url);
-        }
+    const topSites = [...hostTotals.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, CONFIG.POPUP_TOP_SITES)
+        .map(([host, timeMs]) => ({ host, timeMs }));
 
-        // Notify user
-        await showNotification(
-            'Chrome Time Tracker',
-            'Tracking has been automatically resumed!',
-            '../icons/icon48.png'
-        );
+    return { session, todayTotalMs, topSites };
+}
 
-        console.log('✅ Background: Auto-resume completed successfully');
+// ==================== IDLE DETECTION ====================
+
+chrome.idle.onStateChanged.addListener(async (newState) => {
+    await ensureInitialized();
+    handleIdleStateChange(newState);
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.idleThresholdSeconds || changes.countMediaAsActive) {
+        loadIdleSettings();
+    }
+});
+
+async function loadIdleSettings() {
+    try {
+        const result = await chrome.storage.local.get(['idleThresholdSeconds', 'countMediaAsActive']);
+        const threshold = Number(result.idleThresholdSeconds) || CONFIG.DEFAULT_IDLE_THRESHOLD_SECONDS;
+
+        trackingState.idleThresholdSeconds = Math.max(threshold, CONFIG.MIN_IDLE_THRESHOLD_SECONDS);
+        trackingState.countMediaAsActive = result.countMediaAsActive !== false; // Default to true
+
+        chrome.idle.setDetectionInterval(trackingState.idleThresholdSeconds);
+        console.log(`💤 Background: Idle threshold set to ${trackingState.idleThresholdSeconds}s (media counts as active: ${trackingState.countMediaAsActive})`);
     } catch (error) {
-        console.error('❌ Background: Error during auto-resume:', error);
+        console.error('❌ Background: Error loading idle settings:', error);
     }
 }
 
-async function restoreAutoResumeTimer() {
+async function handleIdleStateChange(newState) {
+    console.log('💤 Background: Idle state changed:', newState);
+
     try {
-        const result = await chrome.storage.local.get(['autoResumeTimer']);
-        const timerData = result.autoResumeTimer;
+        if (newState === 'active') {
+            const wasIdle = trackingState.isIdle;
+            trackingState.isIdle = false;
+            trackingState.idleDeferredForMedia = false;
 
-        if (!timerData?.active) return;
+            if (wasIdle && trackingState.canTrack()) {
+                await trackCurrentTab();
+            }
+            return;
+        }
 
-        const remaining = timerData.endTime - Date.now();
+        if (!trackingState.isTracking || trackingState.isIdle) return;
 
-        if (remaining > 0) {
-            console.log('⏰ Background: Restored existing timer with', Math.round(remaining / 1000), 'seconds remaining');
-            startBackgroundAutoResumeTimer(timerData.endTime);
-        } else {
-            console.log('⏰ Background: Existing timer expired, executing auto-resume');
-            executeAutoResume();
+        if (newState === 'idle' && trackingState.countMediaAsActive && await isActiveTabPlayingMedia()) {
+            trackingState.idleDeferredForMedia = true;
+            console.log('🔊 Background: User idle but media is playing, keeping session open');
+            return;
         }
+
+        // chrome.idle reports 'idle' only after the threshold has passed, so the
+        // user actually stopped interacting that long ago. A lock is immediate.
+        const activeUntil = newState === 'idle'
+            ? Date.now() - trackingState.idleThresholdSeconds * 1000
+            : Date.now();
+
+        trackingState.isIdle = true;
+        trackingState.idleDeferredForMedia = false;
+        await endCurrentSession(activeUntil);
+        console.log(`⏸️ Background: Session closed because user is ${newState}`);
     } catch (error) {
-        console.error('❌ Background: Error restoring auto-resume timer:', error);
+        console.error('❌ Background: Error handling idle state change:', error);
     }
 }
 
-// ==================== AUTOMATIC DATA CLEANUP ====================
+async function handleMediaStoppedWhileIdle() {
+    trackingState.idleDeferredForMedia = false;
+    trackingState.isIdle = true;
+    await endCurrentSession();
+    console.log('🔇 Background: Media stopped while idle, session closed');
+}
 
-function startAutomaticCleanup() {
-    console.log('🧹 Background: Starting automatic cleanup cycle');
+async function isActiveTabPlayingMedia() {
+    const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return tabs.length > 0 && tabs[0].audible === true;
+}
+
+// ==================== WINDOW FOCUS TRACKING ====================
 
-    // Run cleanup immediately on startup
-    performDataCleanup();
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+    await ensureInitialized();
+    handleWindowFocusChange(windowId);
+});
 
-    // Set up periodic cleanup
-    setInterval(() => {
-        console.log('🧹 Background: Running scheduled cleanup');
-        performDataCleanup();
-    }, CONFIG.CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000);
+async function loadWindowFocusState() {
+    try {
+        const window = await chrome.windows.getLastFocused();
+        trackingState.hasFocus = window.focused;
+        trackingState.focusedWindowId = window.focused ? window.id : null;
+        console.log('🪟 Background: Window focus loaded:', trackingState.hasFocus);
+    } catch (error) {
+        // No browser windows open yet, focus will be reported by onFocusChanged
+        trackingState.hasFocus = false;
+        trackingState.focusedWindowId = null;
+    }
 }
 
-async function performDataCleanup() {
+async function handleWindowFocusChange(windowId) {
     try {
-        console.log('🧹 Background: Starting automatic data cleanup...');
+        if (windowId === chrome.windows.WINDOW_ID_NONE) {
+            trackingState.hasFocus = false;
+            trackingState.focusedWindowId = null;
+            await endCurrentSession();
+            console.log('🪟 Background: Chrome lost focus, session closed');
+            return;
+        }
 
-        const allData = await chrome.storage.local.get(null);
-        const cutoffDate = calculateDataCutoffDate();
-        const dataKeysToRemove = findDataKeysToRemove(allData, cutoffDate);
+        trackingState.hasFocus = true;
+        trackingState.focusedWindowId = windowId;
 
-        if (dataKeysToRemove.length > 0) {
-            await chrome.storage.local.remove(dataKeysToRemove);
-            console.log(`✅ Background: Cleaned up ${dataKeysToRemove.length} old data entries`);
+        if (!trackingState.canTrack()) return;
+
+        // Switching windows switches the tracked URL to that window's active tab
+        const tabs = await chrome.tabs.query({ active: true, windowId });
+        if (tabs.length > 0 && trackingState.isValidUrl(tabs[0].url)) {
+            handleUrlChange(tabs[0].url, tabs[0].incognito);
         } else {
-            console.log('✅ Background: No old data found to clean up');
+            // The other window shows nothing trackable, so stop counting the previous one
+            await endCurrentSession();
         }
-
-        await saveCleanupMetadata(dataKeysToRemove.length, cutoffDate);
-
-        return { success: true, removedEntries: dataKeysToRemove.length };
     } catch (error) {
-        console.error('❌ Background: Error during automatic cleanup:', error);
-        return { success: false, error: error.message };
+        console.error('❌ Background: Error handling window focus change:', error);
     }
 }
 
-function calculateDataCutoffDate() {
-    const currentDate = new Date();
-    const cutoffDate = new Date(
-        currentDate.getFullYear(),
-        currentDate.getMonth() - CONFIG.DATA_RETENTION_MONTHS,
-        1
-    );
-    const cutoffDateStr = getLocalDateString(cutoffDate);
-
-    console.log(`🧹 Background: Cutoff date for cleanup: ${cutoffDateStr} (keeping current + ${CONFIG.DATA_RETENTION_MONTHS-1} previous months)`);
-    return cutoffDateStr;
-}
+// ==================== INCOGNITO WINDOWS ====================
 
-function findDataKeysToRemove(allData, cutoffDateStr) {
-    const dataKeysToRemove = [];
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
 
-    Object.keys(allData).forEach(key => {
-        if (key.startsWith('data_')) {
-            const dateStr = key.replace('data_', '');
+    if (changes.incognitoPolicy) {
+        // Close the open session under the old policy; the next tab event starts one under the new
+        loadIncognitoPolicy().then(() => endCurrentSession()).then(() => {
+            if (trackingState.canTrack()) trackCurrentTab();
+        });
+    }
+});
 
-            // Validate date format (YYYY-MM-DD) and check if it's before cutoff
-            if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr) && dateStr < cutoffDateStr) {
-                dataKeysToRemove.push(key);
-                console.log(`🗑️ Background: Marking for removal: ${key}`);
-            }
-        }
-    });
+chrome.windows.onRemoved.addListener(async () => {
+    await ensureInitialized();
+    await purgeIncognitoDataIfClosed();
+});
 
-    return dataKeysToRemove;
+async function loadIncognitoPolicy() {
+    try {
+        const result = await chrome.storage.local.get(['incognitoPolicy']);
+        trackingState.incognitoPolicy = INCOGNITO_POLICIES.includes(result.incognitoPolicy)
+            ? result.incognitoPolicy
+            : CONFIG.DEFAULT_INCOGNITO_POLICY;
+        console.log('🕶️ Background: Incognito policy:', trackingState.incognitoPolicy);
+    } catch (error) {
+        console.error('❌ Background: Error loading incognito policy:', error);
+    }
 }
 
-async function saveCleanupMetadata(removedEntries, cutoffDateStr) {
+/**
+ * Deletes every `incognito_` bucket once no incognito window is left. Also
+ * runs on startup, since closing the browser doesn't always report each
+ * window closing.
+ */
+async function purgeIncognitoDataIfClosed() {
     try {
-        await chrome.storage.local.set({
-            lastAutomaticCleanup: {
-                timestamp: Date.now(),
-                removedEntries: removedEntries,
-                cutoffDate: cutoffDateStr
-            }
+        const windows = await chrome.windows.getAll();
+        if (windows.some(window => window.incognito)) return;
+
+        if (trackingState.currentIncognito) {
+            await endCurrentSession();
+        }
+
+        await enqueueStorageWrite(async () => {
+            const allData = await chrome.storage.local.get(null);
+            const keys = Object.keys(allData).filter(key => key.startsWith('incognito_'));
+            if (keys.length === 0) return;
+
+            await chrome.storage.local.remove(keys);
+            console.log(`🕶️ Background: Purged incognito time for ${keys.length} day(s)`);
         });
     } catch (error) {
-        console.error('❌ Background: Error saving cleanup metadata:', error);
+        console.error('❌ Background: Error purging incognito data:', error);
     }
 }
 
-// ==================== UTILITY FUNCTIONS ====================
+// ==================== EXCLUDED SITES ====================
 
-function getLocalDateString(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.excludedSites || changes.excludedSiteMode) {
+        // Re-open the current page's session under the new list
+        loadExcludedSites().then(() => endCurrentSession()).then(() => {
+            if (trackingState.canTrack()) trackCurrentTab();
+        });
+    }
+});
+
+async function loadExcludedSites() {
+    try {
+        const result = await chrome.storage.local.get(['excludedSites', 'excludedSiteMode']);
+        trackingState.excludedSites = Array.isArray(result.excludedSites) ? result.excludedSites : [];
+        trackingState.excludedSiteMode = EXCLUDED_SITE_MODES.includes(result.excludedSiteMode)
+            ? result.excludedSiteMode
+            : CONFIG.DEFAULT_EXCLUDED_SITE_MODE;
+        console.log(`🙈 Background: Loaded ${trackingState.excludedSites.length} excluded sites (${trackingState.excludedSiteMode})`);
+    } catch (error) {
+        console.error('❌ Background: Error loading excluded sites:', error);
+    }
+}
+
+/**
+ * Removes time already recorded on sites matching `patterns` from every
+ * daily bucket, timeline, blocked-attempt log and monthly summary, or folds
+ * it into the Private entry in 'private' mode. With `dryRun` only the
+ * summary is computed.
+ */
+async function purgeExcludedSites(patterns, mode, { dryRun = true } = {}) {
+    const privateUrl = CONFIG.PRIVATE_BUCKET_URL;
+    const matches = (url) => url !== privateUrl && patterns.some(pattern => matchesExclusionPattern(url, pattern));
+    const anonymize = (records) => mode === 'private'
+        ? records.map(record => matches(record.url) ? { ...record, url: privateUrl } : record)
+        : records.filter(record => !matches(record.url));
+
+    // Moves the matching keys of a URL or domain -> ms map into the Private entry, or drops them
+    const purgeTotals = (totals, keyMatches) => {
+        const updated = { ...totals };
+        let removedMs = 0;
+        Object.keys(totals).filter(keyMatches).forEach(key => {
+            if (mode === 'private') {
+                updated[privateUrl] = (updated[privateUrl] || 0) + totals[key];
+            }
+            delete updated[key];
+            removedMs += totals[key];
+        });
+        return { updated, removedMs };
+    };
+
+    // Multiplies a date -> ms map by `ratio`, handing the rounding error to the
+    // largest day so the days still add up to the scaled total
+    const scaleDayTotals = (days, ratio) => {
+        const dates = Object.keys(days);
+        if (dates.length === 0) return days;
+
+        const scaled = {};
+        dates.forEach(date => { scaled[date] = Math.round(days[date] * ratio); });
+        const target = Math.round(dates.reduce((sum, date) => sum + days[date], 0) * ratio);
+        const largest = dates.reduce((a, b) => (scaled[b] > scaled[a] ? b : a));
+        scaled[largest] = Math.max(0, scaled[largest] + target - dates.reduce((sum, date) => sum + scaled[date], 0));
+        return scaled;
+    };
+
+    return enqueueStorageWrite(async () => {
+        const allData = await chrome.storage.local.get(null);
+        const updates = {};
+        const summary = { days: 0, entries: 0, totalMs: 0, blockedAttempts: 0, archivedMonths: 0, mode, dryRun };
+
+        Object.keys(allData).forEach(key => {
+            const value = allData[key];
+
+            if (key.startsWith('data_')) {
+                const matchedUrls = Object.keys(value || {}).filter(matches);
+                if (matchedUrls.length === 0) return;
+
+                const { updated, removedMs } = purgeTotals(value, matches);
+                updates[key] = updated;
+                summary.days++;
+                summary.entries += matchedUrls.length;
+                summary.totalMs += removedMs;
+
+                const sessionsKey = `sessions_${key.slice('data_'.length)}`;
+                if (Array.isArray(allData[sessionsKey])) {
+                    updates[sessionsKey] = anonymize(allData[sessionsKey]);
+                }
+            } else if (key.startsWith('blocked_') && Array.isArray(value)) {
+                const matchedCount = value.filter(attempt => matches(attempt.url)).length;
+                if (matchedCount === 0) return;
+
+                updates[key] = anonymize(value);
+                summary.blockedAttempts += matchedCount;
+            } else if (key.startsWith('summary_') && value) {
+                // Domains are tested as a bare host, so patterns with a path only catch them through topUrls
+                const domains = purgeTotals(value.domains || {}, domain => matches(`https://${domain}/`));
+                const topUrls = purgeTotals(value.topUrls || {}, matches);
+                if (domains.removedMs === 0 && topUrls.removedMs === 0) return;
+
+                // A summary doesn't record which day a site's time fell on, so
+                // skip mode shrinks every day total by the same share
+                const totalMs = mode === 'private' ? value.totalMs : Math.max(0, value.totalMs - domains.removedMs);
+                updates[key] = {
+                    ...value,
+                    days: totalMs === value.totalMs ? value.days : scaleDayTotals(value.days || {}, totalMs / value.totalMs),
+                    domains: domains.updated,
+                    topUrls: topUrls.updated,
+                    totalMs
+                };
+                summary.archivedMonths++;
+            }
+        });
+
+        if (!dryRun && Object.keys(updates).length > 0) {
+            await chrome.storage.local.set(updates);
+        }
+
+        console.log(`🙈 Background: ${dryRun ? 'Dry run of purge' : 'Purged'} ${summary.entries} excluded entries over ${summary.days} days, ` +
+            `${summary.blockedAttempts} blocked attempts and ${summary.archivedMonths} archived months (${mode})`);
+        return summary;
+    });
+}
+
+// ==================== MESSAGE HANDLING ====================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    console.log('📡 Background: Received message:', message.action);
+
+    const handlers = {
+        'getTrackingState': handleGetTrackingState,
+        'enableTracking': handleEnableTracking,
+        'disableTracking': handleDisableTracking,
+        'startAutoResumeTimer': handleStartAutoResumeTimer,
+        'cancelAutoResumeTimer': handleCancelAutoResumeTimer,
+        'getBudgetStatus': handleGetBudgetStatus,
+        'snoozeFocusBlock': handleSnoozeFocusBlock,
+        'previewUrlNormalization': handlePreviewUrlNormalization,
+        'exportData': handleExportData,
+        'importData': handleImportData,
+        'previewRetentionChange': handlePreviewRetentionChange,
+        'getStorageUsage': handleGetStorageUsage,
+        'getSiteCategories': handleGetSiteCategories,
+        'getUrlCategories': handleGetUrlCategories,
+        'addSiteCategory': handleAddSiteCategory,
+        'getUrlRatings': handleGetUrlRatings,
+        'getCurrentSession': handleGetCurrentSession,
+        'purgeExcludedSites': handlePurgeExcludedSites
+    };
+
+    const handler = handlers[message.action];
+    if (handler) {
+        ensureInitialized().then(() => handler(message, sendResponse));
+        return true; // Keep message channel open for async response
+    }
+
+    console.warn('⚠️ Background: Unknown message action:', message.action);
+    sendResponse({ success: false, error: 'Unknown action' });
+    return false;
+});
+
+async function handleGetTrackingState(message, sendResponse) {
+    try {
+        sendResponse({ isTracking: trackingState.isTracking });
+    } catch (error) {
+        console.error('❌ Background: Error getting tracking state:', error);
+        sendResponse({ isTracking: false });
+    }
+}
+
+async function handleEnableTracking(message, sendResponse) {
+    try {
+        await saveTrackingState(true);
+        trackingState.isIdle = false;
+
+        // Start tracking current tab if available (a do-not-track schedule still applies)
+        if (!trackingState.scheduledPause) {
+            await trackCurrentTab();
+        }
+
+        console.log('✅ Background: Tracking enabled');
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('❌ Background: Error enabling tracking:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleDisableTracking(message, sendResponse) {
+    try {
+        // Save current session before disabling (if it meets minimum duration)
+        await endCurrentSession();
+
+        await saveTrackingState(false);
+
+        const autoResumeMinutes = message.autoResumeMinutes || 0;
+        console.log(`⏸️ Background: Tracking disabled${autoResumeMinutes ? ` with ${autoResumeMinutes} minute auto-resume` : ''}`);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('❌ Background: Error disabling tracking:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleStartAutoResumeTimer(message, sendResponse) {
+    await startBackgroundAutoResumeTimer(message.endTime);
+    sendResponse({ success: true });
+}
+
+async function handleCancelAutoResumeTimer(message, sendResponse) {
+    await cancelBackgroundAutoResumeTimer();
+    sendResponse({ success: true });
+}
+
+async function handleGetCurrentSession(message, sendResponse) {
+    try {
+        const summary = await getLiveTodaySummary();
+        sendResponse({
+            success: true,
+            isTracking: trackingState.isTracking,
+            scheduledPause: trackingState.scheduledPause,
+            ...summary
+        });
+    } catch (error) {
+        console.error('❌ Background: Error getting current session:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleGetBudgetStatus(message, sendResponse) {
+    try {
+        const dateStr = message.date || getLocalDateString(new Date());
+        const budgets = await calculateBudgetUsage(dateStr, trackingState.siteBudgets);
+        sendResponse({ success: true, budgets });
+    } catch (error) {
+        console.error('❌ Background: Error getting budget status:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleSnoozeFocusBlock(message, sendResponse) {
+    try {
+        const until = await snoozeFocusBlock(message.url);
+        sendResponse({ success: true, until });
+    } catch (error) {
+        console.error('❌ Background: Error snoozing focus block:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handlePreviewUrlNormalization(message, sendResponse) {
+    try {
+        const rules = Array.isArray(message.rules) ? message.rules : trackingState.urlRules;
+        const matchedRule = rules.find(rule => matchesUrlPattern(message.url, rule.pattern));
+
+        new URL(message.url); // Reject unparseable input instead of echoing it back
+        sendResponse({
+            success: true,
+            normalizedUrl: trackingState.normalizeUrl(message.url, rules),
+            matchedPattern: matchedRule?.pattern || null
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: 'Not a valid URL' });
+    }
+}
+
+async function handleExportData(message, sendResponse) {
+    try {
+        const exportData = await buildDataExport(message.from, message.to);
+        sendResponse({ success: true, export: exportData });
+    } catch (error) {
+        console.error('❌ Background: Error exporting data:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleImportData(message, sendResponse) {
+    try {
+        const summary = await importDataExport(message.data, message.mode, { dryRun: message.dryRun !== false });
+        sendResponse({ success: true, summary });
+    } catch (error) {
+        console.error('❌ Background: Error importing data:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handlePurgeExcludedSites(message, sendResponse) {
+    try {
+        const summary = await purgeExcludedSites(message.patterns || [], message.mode, { dryRun: message.dryRun !== false });
+        sendResponse({ success: true, summary });
+    } catch (error) {
+        console.error('❌ Background: Error purging excluded sites:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handlePreviewRetentionChange(message, sendResponse) {
+    try {
+        const months = parseRetentionMonths(message.months);
+        const cutoffDate = calculateDataCutoffDate(months);
+        const allData = await chrome.storage.local.get(null);
+        const datesToDelete = new Set();
+
+        if (cutoffDate) {
+            findDataKeysToRemove(allData, cutoffDate).forEach(key => datesToDelete.add(key.slice(key.indexOf('_') + 1)));
+
+            // Compacted days go too unless their summaries are kept
+            if (!message.archiveBeforeDelete) {
+                findSummaryKeysToRemove(allData, cutoffDate)
+                    .forEach(key => Object.keys(allData[key].days || {}).forEach(dateStr => datesToDelete.add(dateStr)));
+            }
+        }
+        const daysToDelete = datesToDelete.size;
+
+        sendResponse({ success: true, cutoffDate, daysToDelete });
+    } catch (error) {
+        console.error('❌ Background: Error previewing retention change:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleGetStorageUsage(message, sendResponse) {
+    try {
+        sendResponse({ success: true, ...(await getStorageUsage()) });
+    } catch (error) {
+        console.error('❌ Background: Error getting storage usage:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleGetSiteCategories(message, sendResponse) {
+    sendResponse({
+        success: true,
+        categories: message.defaults ? DEFAULT_SITE_CATEGORIES : trackingState.siteCategories,
+        starterList: DEFAULT_SITE_CATEGORIES
+    });
+}
+
+async function handleGetUrlCategories(message, sendResponse) {
+    try {
+        const urls = Array.isArray(message.urls) ? message.urls : [];
+        sendResponse({ success: true, categories: categorizeUrls(urls) });
+    } catch (error) {
+        console.error('❌ Background: Error categorizing URLs:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleAddSiteCategory(message, sendResponse) {
+    try {
+        await addSiteCategory(message.pattern, message.category);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('❌ Background: Error adding site category:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+async function handleGetUrlRatings(message, sendResponse) {
+    try {
+        const urls = Array.isArray(message.urls) ? message.urls : [];
+        sendResponse({ success: true, ratings: rateUrls(urls) });
+    } catch (error) {
+        console.error('❌ Background: Error rating URLs:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// ==================== URL NORMALIZATION RULES ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.urlRules) {
+        loadUrlRules();
+    }
+});
+
+async function loadUrlRules() {
+    try {
+        const result = await chrome.storage.local.get(['urlRules']);
+        trackingState.urlRules = (result.urlRules || []).filter(rule => rule?.pattern && rule.mode);
+        console.log(`🔗 Background: Loaded ${trackingState.urlRules.length} URL normalization rules`);
+    } catch (error) {
+        console.error('❌ Background: Error loading URL rules:', error);
+    }
+}
+
+/**
+ * Builds the URL a page is recorded under. Modes:
+ * - `domain`: one row per host
+ * - `segments`: the first `segments` path segments
+ * - `path`: the full path (the default without a rule)
+ * - `query`: the full path plus the listed `queryParams`
+ * `keepHash` appends the fragment, for single-page apps that route with it.
+ */
+function applyUrlRule(urlObj, rule) {
+    const origin = `${urlObj.protocol}//${urlObj.host}`;
+
+    if (rule.mode === 'domain') {
+        return `${origin}/`;
+    }
+
+    let path = urlObj.pathname;
+    if (rule.mode === 'segments') {
+        const segments = path.split('/').filter(Boolean).slice(0, Math.max(0, Number(rule.segments) || 0));
+        path = `/${segments.join('/')}`;
+    }
+
+    let query = '';
+    if (rule.mode === 'query' && Array.isArray(rule.queryParams)) {
+        const kept = new URLSearchParams();
+        rule.queryParams.forEach(param => {
+            urlObj.searchParams.getAll(param).forEach(value => kept.append(param, value));
+        });
+        const keptString = kept.toString();
+        query = keptString ? `?${keptString}` : '';
+    }
+
+    const hash = rule.keepHash && urlObj.hash.length > 1 ? urlObj.hash : '';
+
+    return `${origin}${path}${query}${hash}`;
+}
+
+// ==================== DAILY TIME BUDGETS ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.siteBudgets || changes.budgetWarningThresholds) {
+        loadBudgetSettings();
+    }
+});
+
+async function loadBudgetSettings() {
+    try {
+        const result = await chrome.storage.local.get(['siteBudgets', 'budgetWarningThresholds']);
+
+        trackingState.siteBudgets = (result.siteBudgets || [])
+            .filter(budget => budget?.pattern && budget.minutesPerDay > 0);
+        trackingState.budgetWarningThresholds = (result.budgetWarningThresholds || CONFIG.DEFAULT_BUDGET_WARNING_THRESHOLDS)
+            .filter(threshold => threshold > 0)
+            .sort((a, b) => a - b);
+
+        console.log(`⏳ Background: Loaded ${trackingState.siteBudgets.length} site budgets`);
+    } catch (error) {
+        console.error('❌ Background: Error loading budget settings:', error);
+    }
+}
+
+/**
+ * Totals the time spent on each budget's matching URLs for a day. For today
+ * the part of the open session not yet flushed by a heartbeat is included.
+ */
+async function calculateBudgetUsage(dateStr, budgets) {
+    if (budgets.length === 0) return [];
+
+    const key = `data_${dateStr}`;
+    const result = await chrome.storage.local.get([key]);
+    const data = result[key] || {};
+
+    const now = Date.now();
+    const session = trackingState.getCurrentSession(now);
+    const includeLiveSession = dateStr === getLocalDateString(new Date(now)) &&
+        trackingState.hasActiveSession() &&
+        trackingState.isValidDuration(session.duration);
+    const unflushedMs = includeLiveSession ? now - trackingState.lastCheckpoint : 0;
+
+    return budgets.map(budget => {
+        const matchingUrls = Object.keys(data).filter(url => matchesUrlPattern(url, budget.pattern));
+        let usedMs = matchingUrls.reduce((sum, url) => sum + data[url], 0);
+
+        if (unflushedMs > 0 && matchesUrlPattern(session.url, budget.pattern)) {
+            usedMs += unflushedMs;
+        }
+
+        return {
+            pattern: budget.pattern,
+            limitMs: budget.minutesPerDay * 60 * 1000,
+            usedMs,
+            matchingUrls
+        };
+    });
+}
+
+async function checkSiteBudgets() {
+    if (trackingState.siteBudgets.length === 0 || !trackingState.hasActiveSession()) return;
+
+    const budgets = trackingState.siteBudgets
+        .filter(budget => matchesUrlPattern(trackingState.currentUrl, budget.pattern));
+    if (budgets.length === 0) return;
+
+    try {
+        const today = getLocalDateString(new Date());
+        const usage = await calculateBudgetUsage(today, budgets);
+
+        const result = await chrome.storage.local.get(['budgetAlerts']);
+        const alerts = result.budgetAlerts?.date === today
+            ? result.budgetAlerts
+            : { date: today, fired: {} };
+        let alertsChanged = false;
+
+        for (const budget of usage) {
+            const percentage = (budget.usedMs / budget.limitMs) * 100;
+            const fired = alerts.fired[budget.pattern] || [];
+            const crossed = trackingState.budgetWarningThresholds
+                .filter(threshold => percentage >= threshold && !fired.includes(threshold));
+
+            if (crossed.length === 0) continue;
+
+            alerts.fired[budget.pattern] = [...fired, ...crossed];
+            alertsChanged = true;
+
+            // Only the highest newly crossed threshold is worth a notification
+            const threshold = crossed[crossed.length - 1];
+            const limitMinutes = Math.round(budget.limitMs / 60000);
+            await showNotification(
+                threshold >= 100 ? 'Daily budget reached' : 'Daily budget warning',
+                `You have used ${threshold}% of your ${limitMinutes} minute budget for ${budget.pattern} today.`,
+                CONFIG.NOTIFICATION_ICON
+            );
+            console.log(`⏳ Background: Budget for ${budget.pattern} at ${Math.round(percentage)}%`);
+        }
+
+        if (alertsChanged) {
+            await chrome.storage.local.set({ budgetAlerts: alerts });
+        }
+    } catch (error) {
+        console.error('❌ Background: Error checking site budgets:', error);
+    }
+}
+
+// ==================== FOCUS MODE ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.focusMode || changes.focusBlockList || changes.focusAllowList) {
+        loadFocusSettings();
+    }
+});
+
+async function loadFocusSettings() {
+    try {
+        const result = await chrome.storage.local.get(['focusMode', 'focusBlockList', 'focusAllowList']);
+
+        trackingState.focusMode = { ...trackingState.focusMode, ...(result.focusMode || {}) };
+        trackingState.focusBlockList = result.focusBlockList || [];
+        trackingState.focusAllowList = result.focusAllowList || [];
+
+        console.log(`🎯 Background: Focus mode loaded (${trackingState.focusBlockList.length} blocked patterns)`);
+    } catch (error) {
+        console.error('❌ Background: Error loading focus settings:', error);
+    }
+}
+
+function isFocusModeActive(date = new Date()) {
+    const { enabled, scheduleEnabled, schedule } = trackingState.focusMode;
+    return enabled || Boolean(scheduleEnabled && schedule && isWithinSchedule(schedule, date));
+}
+
+/**
+ * Decides whether a URL should be blocked right now and why. The allow list
+ * always wins, and a snoozed host is let through until its snooze ends.
+ */
+async function getBlockReason(url) {
+    if (!trackingState.isValidUrl(url) || !/^https?:/.test(url)) return null;
+    if (trackingState.focusAllowList.some(pattern => matchesUrlPattern(url, pattern))) return null;
+
+    const focusActive = isFocusModeActive();
+    const checkBudgets = trackingState.focusMode.blockOverBudget && trackingState.siteBudgets.length > 0;
+    if (!focusActive && !checkBudgets) return null;
+
+    const result = await chrome.storage.local.get(['focusSnoozes']);
+    const snoozedUntil = result.focusSnoozes?.[new URL(url).hostname] || 0;
+    if (snoozedUntil > Date.now()) return null;
+
+    if (focusActive && trackingState.focusBlockList.some(pattern => matchesUrlPattern(url, pattern))) {
+        return 'blocklist';
+    }
+
+    if (checkBudgets) {
+        const budgets = trackingState.siteBudgets.filter(budget => matchesUrlPattern(url, budget.pattern));
+        const today = getLocalDateString(new Date());
+        const usage = await calculateBudgetUsage(today, budgets);
+        if (usage.some(budget => budget.usedMs >= budget.limitMs)) {
+            return 'budget';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Redirects the tab to the blocked page if its URL is blocked.
+ * Returns true when the tab was redirected.
+ */
+async function enforceFocusMode(tabId, url, incognito = false) {
+    try {
+        const reason = await getBlockReason(url);
+        if (!reason) return false;
+
+        // The blocked page itself isn't trackable, so close the blocked site's session here
+        if (trackingState.currentUrl === trackingState.getRecordedUrl(url)) {
+            await endCurrentSession();
+        }
+
+        await recordBlockedAttempt(url, reason, incognito);
+
+        const params = new URLSearchParams({ url, reason });
+        await chrome.tabs.update(tabId, {
+            url: chrome.runtime.getURL(`pages/blocked.html?${params}`)
+        });
+
+        console.log(`🎯 Background: Blocked ${describeUrlForLog(url, incognito)} (${reason})`);
+        return true;
+    } catch (error) {
+        console.error('❌ Background: Error enforcing focus mode:', error);
+        return false;
+    }
+}
+
+/**
+ * Catches a site that becomes blocked while it is open, e.g. when a focus
+ * schedule starts or the budget runs out mid-session.
+ */
+async function enforceFocusModeOnActiveTab() {
+    const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (tabs.length > 0 && tabs[0].url) {
+        await enforceFocusMode(tabs[0].id, tabs[0].url, tabs[0].incognito);
+    }
+}
+
+async function recordBlockedAttempt(url, reason, incognito = false) {
+    // Blocked attempts have no incognito bucket, so they are only kept when incognito is tracked normally
+    if (incognito && trackingState.incognitoPolicy !== 'normal') return;
+
+    return enqueueStorageWrite(async () => {
+        try {
+            const key = `blocked_${getLocalDateString(new Date())}`;
+            const result = await chrome.storage.local.get([key]);
+            const attempts = result[key] || [];
+
+            const recordedUrl = trackingState.getRecordedUrl(url);
+            if (!recordedUrl || attempts.length >= CONFIG.MAX_BLOCKED_ATTEMPTS_PER_DAY) return;
+
+            attempts.push({ url: recordedUrl, timestamp: Date.now(), reason });
+            await chrome.storage.local.set({ [key]: attempts });
+        } catch (error) {
+            console.error('❌ Background: Error recording blocked attempt:', error);
+        }
+    });
+}
+
+async function snoozeFocusBlock(url) {
+    const host = new URL(url).hostname;
+    const until = Date.now() + CONFIG.FOCUS_SNOOZE_MINUTES * 60 * 1000;
+
+    const result = await chrome.storage.local.get(['focusSnoozes']);
+    const snoozes = result.focusSnoozes || {};
+
+    // Drop expired snoozes while we're here
+    Object.keys(snoozes).forEach(key => {
+        if (snoozes[key] <= Date.now()) delete snoozes[key];
+    });
+    snoozes[host] = until;
+
+    await chrome.storage.local.set({ focusSnoozes: snoozes });
+    console.log(`😴 Background: Focus block for ${host} snoozed for ${CONFIG.FOCUS_SNOOZE_MINUTES} minutes`);
+    return until;
+}
+
+// ==================== SITE CATEGORIES ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.siteCategories) {
+        loadCategorySettings();
+    }
+});
+
+async function loadCategorySettings() {
+    try {
+        const result = await chrome.storage.local.get(['siteCategories']);
+        const categories = Array.isArray(result.siteCategories) ? result.siteCategories : DEFAULT_SITE_CATEGORIES;
+
+        trackingState.siteCategories = categories.filter(entry => entry?.pattern && entry.category);
+        console.log(`🏷️ Background: Loaded ${trackingState.siteCategories.length} site categories`);
+    } catch (error) {
+        console.error('❌ Background: Error loading site categories:', error);
+    }
+}
+
+function getUrlCategory(url) {
+    return trackingState.siteCategories.find(entry => matchesUrlPattern(url, entry.pattern))?.category || null;
+}
+
+// Maps each URL to its category; untagged URLs are left out
+function categorizeUrls(urls) {
+    const categories = {};
+    urls.forEach(url => {
+        const category = getUrlCategory(url);
+        if (category) categories[url] = category;
+    });
+    return categories;
+}
+
+/**
+ * Tags a site from the statistics page. The entry is appended, so existing
+ * patterns keep priority; the storage listener reloads the mapping.
+ */
+async function addSiteCategory(pattern, category) {
+    const normalizedPattern = (pattern || '').trim().toLowerCase();
+    const normalizedCategory = (category || '').trim();
+    if (!normalizedPattern || !normalizedCategory) {
+        throw new Error('A site pattern and a category are required');
+    }
+
+    const siteCategories = trackingState.siteCategories
+        .filter(entry => entry.pattern !== normalizedPattern);
+    siteCategories.push({ pattern: normalizedPattern, category: normalizedCategory });
+
+    trackingState.siteCategories = siteCategories;
+    await chrome.storage.local.set({ siteCategories });
+    console.log(`🏷️ Background: Tagged ${normalizedPattern} as ${normalizedCategory}`);
+}
+
+// ==================== PRODUCTIVITY RATINGS ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.siteRatings) {
+        loadRatingSettings();
+    }
+});
+
+async function loadRatingSettings() {
+    try {
+        const result = await chrome.storage.local.get(['siteRatings']);
+        trackingState.siteRatings = (result.siteRatings || [])
+            .filter(entry => entry?.pattern && PRODUCTIVITY_RATINGS.includes(entry.rating));
+        console.log(`📈 Background: Loaded ${trackingState.siteRatings.length} site ratings`);
+    } catch (error) {
+        console.error('❌ Background: Error loading site ratings:', error);
+    }
+}
+
+// The first matching pattern wins, so an explicit "neutral" can carve a
+// subdomain or path out of a broader rating
+function getUrlRating(url) {
+    return trackingState.siteRatings.find(entry => matchesUrlPattern(url, entry.pattern))?.rating || 'neutral';
+}
+
+// Maps each URL to its rating; neutral URLs are left out
+function rateUrls(urls) {
+    const ratings = {};
+    urls.forEach(url => {
+        const rating = getUrlRating(url);
+        if (rating !== 'neutral') ratings[url] = rating;
+    });
+    return ratings;
+}
+
+// ==================== DATA EXPORT AND IMPORT ====================
+
+/**
+ * Collects the `data_YYYY-MM-DD` buckets between `from` and `to` (inclusive)
+ * into a versioned export document:
+ * { format, version, exportedAt, range: { from, to }, days: { 'YYYY-MM-DD': { url: ms } } }
+ */
+async function buildDataExport(from, to) {
+    if (!isDateString(from) || !isDateString(to)) {
+        throw new Error('Export range must be two YYYY-MM-DD dates');
+    }
+    if (from > to) [from, to] = [to, from];
+
+    const allData = await chrome.storage.local.get(null);
+    const days = {};
+
+    Object.keys(allData)
+        .filter(key => key.startsWith('data_'))
+        .sort()
+        .forEach(key => {
+            const dateStr = key.slice('data_'.length);
+            if (isDateString(dateStr) && dateStr >= from && dateStr <= to) {
+                days[dateStr] = allData[key];
+            }
+        });
+
+    console.log(`📤 Background: Exported ${Object.keys(days).length} days from ${from} to ${to}`);
+
+    return {
+        format: CONFIG.EXPORT_FORMAT,
+        version: CONFIG.EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        range: { from, to },
+        days
+    };
+}
+
+const IMPORT_MODES = ['sum', 'max', 'replace'];
+
+/**
+ * Throws if `exportData` isn't an export document this version can read, or
+ * if any day key or URL entry is malformed. Nothing is imported from a file
+ * that fails, so a truncated or hand-edited file can't half-apply.
+ */
+function validateDataExport(exportData) {
+    if (!exportData || typeof exportData !== 'object' || exportData.format !== CONFIG.EXPORT_FORMAT) {
+        throw new Error('Not a Chrome Time Tracker export file');
+    }
+    if (!Number.isInteger(exportData.version) || exportData.version > CONFIG.EXPORT_VERSION) {
+        throw new Error(`Unsupported export version: ${exportData.version}`);
+    }
+    if (!exportData.days || typeof exportData.days !== 'object' || Array.isArray(exportData.days)) {
+        throw new Error('Export file has no daily data');
+    }
+
+    Object.entries(exportData.days).forEach(([dateStr, dayData]) => {
+        if (!isCalendarDate(dateStr)) {
+            throw new Error(`Invalid date key: ${dateStr}`);
+        }
+        if (!dayData || typeof dayData !== 'object' || Array.isArray(dayData)) {
+            throw new Error(`Invalid data for ${dateStr}`);
+        }
+
+        Object.entries(dayData).forEach(([url, timeMs]) => {
+            if (!url || !Number.isFinite(timeMs) || timeMs < 0) {
+                throw new Error(`Invalid time for ${url || '(empty URL)'} on ${dateStr}`);
+            }
+        });
+    });
+}
+
+/**
+ * Applies an export document to the daily buckets. Modes:
+ * - `sum`: adds imported time to what is already recorded
+ * - `max`: keeps the larger of the two values per URL, so re-importing the
+ *   same file is harmless
+ * - `replace`: overwrites each imported day; days not in the file are kept
+ * Days older than the retention cutoff are skipped since the next cleanup
+ * would delete them again. With `dryRun` only the summary is computed.
+ */
+async function importDataExport(exportData, mode, { dryRun = true } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown import mode: ${mode}`);
+    }
+    validateDataExport(exportData);
+
+    const cutoffDateStr = calculateDataCutoffDate();
+    const dateStrs = Object.keys(exportData.days).sort();
+    const retainedDates = dateStrs.filter(dateStr => !cutoffDateStr || dateStr >= cutoffDateStr);
+    const monthKeys = [...new Set(retainedDates.map(dateStr => `summary_${dateStr.slice(0, 7)}`))];
+
+    return enqueueStorageWrite(async () => {
+        // A day already compacted into its month's summary would be dropped again by the next compaction
+        const summaries = await chrome.storage.local.get(monthKeys);
+        const importDates = retainedDates.filter(dateStr => !(dateStr in (summaries[`summary_${dateStr.slice(0, 7)}`]?.days || {})));
+
+        const result = await chrome.storage.local.get(importDates.map(dateStr => `data_${dateStr}`));
+        const updates = {};
+        const summary = {
+            mode,
+            dryRun,
+            days: importDates.length,
+            newDays: 0,
+            existingDays: 0,
+            skippedDays: dateStrs.length - retainedDates.length,
+            compactedDays: retainedDates.length - importDates.length,
+            cutoffDate: cutoffDateStr,
+            entries: 0,
+            importedMs: 0
+        };
+
+        importDates.forEach(dateStr => {
+            const imported = exportData.days[dateStr];
+            const existing = result[`data_${dateStr}`];
+            const merged = mode === 'replace' || !existing ? {} : { ...existing };
+
+            if (existing && Object.keys(existing).length > 0) {
+                summary.existingDays++;
+            } else {
+                summary.newDays++;
+            }
+
+            Object.entries(imported).forEach(([url, timeMs]) => {
+                merged[url] = mode === 'sum'
+                    ? (merged[url] || 0) + timeMs
+                    : mode === 'max' ? Math.max(merged[url] || 0, timeMs) : timeMs;
+                summary.entries++;
+                summary.importedMs += timeMs;
+            });
+
+            updates[`data_${dateStr}`] = merged;
+        });
+
+        if (!dryRun && importDates.length > 0) {
+            await chrome.storage.local.set(updates);
+
+            // A replaced day's timeline no longer matches its totals
+            if (mode === 'replace') {
+                await chrome.storage.local.remove(importDates.map(dateStr => `sessions_${dateStr}`));
+            }
+        }
+
+        console.log(`📥 Background: ${dryRun ? 'Dry run of import' : 'Imported'} ${summary.days} days (${mode}), skipped ${summary.skippedDays} old and ${summary.compactedDays} compacted`);
+        return summary;
+    });
+}
+
+// ==================== AUTO-RESUME TIMER MANAGEMENT ====================
+
+async function startBackgroundAutoResumeTimer(endTime) {
+    console.log('⏰ Background: Starting auto-resume timer');
+
+    await scheduleJob('autoResume', { when: endTime });
+
+    console.log(`⏰ Background: Timer set for ${Math.max(0, Math.round((endTime - Date.now()) / 1000))} seconds`);
+}
+
+async function cancelBackgroundAutoResumeTimer() {
+    await cancelJob('autoResume');
+    console.log('🚫 Background: Auto-resume timer cancelled');
+}
+
+async function executeAutoResume() {
+    console.log('✅ Background: Executing auto-resume');
+
+    try {
+        await saveTrackingState(true);
+        await chrome.storage.local.remove(['autoResumeTimer']);
+
+        // Start tracking current tab (unless the user is away)
+        if (trackingState.canTrack()) {
+            await trackCurrentTab();
+        }
+
+        // Notify user
+        await showNotification(
+            'Chrome Time Tracker',
+            'Tracking has been automatically resumed!',
+            CONFIG.NOTIFICATION_ICON
+        );
+
+        console.log('✅ Background: Auto-resume completed successfully');
+    } catch (error) {
+        console.error('❌ Background: Error during auto-resume:', error);
+    }
+}
+
+async function restoreAutoResumeTimer() {
+    try {
+        const result = await chrome.storage.local.get(['autoResumeTimer']);
+        const timerData = result.autoResumeTimer;
+
+        if (!timerData?.active) return;
+
+        // Scheduling is idempotent, and a timer that expired while the worker
+        // was stopped runs straight away
+        const remaining = timerData.endTime - Date.now();
+        console.log('⏰ Background: Restoring existing timer with', Math.max(0, Math.round(remaining / 1000)), 'seconds remaining');
+        await startBackgroundAutoResumeTimer(timerData.endTime);
+    } catch (error) {
+        console.error('❌ Background: Error restoring auto-resume timer:', error);
+    }
+}
+
+// ==================== SCHEDULED PAUSES ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.pauseSchedules) {
+        loadPauseSchedules().then(() => startPauseSchedules());
+    }
+});
+
+async function loadPauseSchedules() {
+    try {
+        const result = await chrome.storage.local.get(['pauseSchedules']);
+        trackingState.pauseSchedules = (result.pauseSchedules || [])
+            .filter(schedule => PAUSE_SCHEDULE_MODES.includes(schedule?.mode) && schedule.days?.length > 0);
+        console.log(`🗓️ Background: Loaded ${trackingState.pauseSchedules.length} do-not-track schedules`);
+    } catch (error) {
+        console.error('❌ Background: Error loading do-not-track schedules:', error);
+    }
+}
+
+async function startPauseSchedules() {
+    if (trackingState.pauseSchedules.length === 0) {
+        await cancelJob('pauseSchedule');
+    } else {
+        await scheduleJob('pauseSchedule', { periodInMinutes: CONFIG.PAUSE_SCHEDULE_CHECK_MINUTES });
+    }
+    await applyPauseSchedules();
+}
+
+/**
+ * Any "during" schedule pauses tracking inside its window. "Outside"
+ * schedules together describe when tracking is allowed: it pauses whenever
+ * the time is inside none of them, so weekdays 09:00-18:00 plus Saturday
+ * 10:00-14:00 tracks in either window and pauses the rest of the week.
+ */
+function isInPauseSchedule(date = new Date()) {
+    const schedules = trackingState.pauseSchedules;
+    if (schedules.some(schedule => schedule.mode === 'during' && isWithinSchedule(schedule, date))) {
+        return true;
+    }
+
+    const outsideSchedules = schedules.filter(schedule => schedule.mode === 'outside');
+    return outsideSchedules.length > 0 && !outsideSchedules.some(schedule => isWithinSchedule(schedule, date));
+}
+
+// Ends the open session when a schedule starts and picks the tab up again when it ends
+async function applyPauseSchedules() {
+    const paused = isInPauseSchedule();
+    if (paused === trackingState.scheduledPause) return;
+
+    trackingState.scheduledPause = paused;
+
+    if (paused) {
+        await endCurrentSession();
+        console.log('🗓️ Background: Do-not-track schedule started, tracking paused');
+    } else {
+        console.log('🗓️ Background: Do-not-track schedule ended');
+        if (trackingState.canTrack()) {
+            await trackCurrentTab();
+        }
+    }
+
+    updateBadge();
+}
+
+// ==================== TOOLBAR BADGE ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.badgeMode) {
+        loadBadgeSettings().then(() => startBadgeUpdates());
+    } else if (changes.isTracking || changes.autoResumeTimer) {
+        // Pausing, resuming and timers can be started from any page
+        updateBadge();
+    }
+});
+
+async function loadBadgeSettings() {
+    try {
+        const result = await chrome.storage.local.get(['badgeMode']);
+        trackingState.badgeMode = BADGE_MODES.includes(result.badgeMode) ? result.badgeMode : CONFIG.DEFAULT_BADGE_MODE;
+        console.log('🔖 Background: Badge mode:', trackingState.badgeMode);
+    } catch (error) {
+        console.error('❌ Background: Error loading badge settings:', error);
+    }
+}
+
+// The badge only shows minutes, so a one-minute tick keeps it current between URL changes
+async function startBadgeUpdates() {
+    if (trackingState.badgeMode === 'off') {
+        await cancelJob('badgeRefresh');
+        await chrome.action.setBadgeText({ text: '' });
+        return;
+    }
+
+    await scheduleJob('badgeRefresh', { periodInMinutes: CONFIG.BADGE_REFRESH_MINUTES });
+    await updateBadge();
+}
+
+async function updateBadge() {
+    if (trackingState.badgeMode === 'off') return;
+
+    try {
+        const { text, color } = await getBadgeState();
+        await chrome.action.setBadgeBackgroundColor({ color });
+        await chrome.action.setBadgeText({ text });
+    } catch (error) {
+        console.error('❌ Background: Error updating badge:', error);
+    }
+}
+
+/**
+ * While paused the badge shows the time left until auto-resume, or "OFF"
+ * without a timer or during a do-not-track schedule. While tracking it shows today's total or today's time on
+ * the current site's host, depending on the badge mode.
+ */
+async function getBadgeState() {
+    if (trackingState.scheduledPause && trackingState.isTracking) {
+        return { text: 'OFF', color: CONFIG.BADGE_COLORS.paused };
+    }
+
+    if (!trackingState.isTracking) {
+        const result = await chrome.storage.local.get(['autoResumeTimer']);
+        const timer = result.autoResumeTimer;
+        const remainingMs = timer?.active ? timer.endTime - Date.now() : 0;
+
+        return remainingMs > 0
+            ? { text: formatBadgeTime(remainingMs, Math.ceil), color: CONFIG.BADGE_COLORS.countdown }
+            : { text: 'OFF', color: CONFIG.BADGE_COLORS.paused };
+    }
+
+    const { data, session } = await getLiveTodayData();
+    let timeMs;
+
+    if (trackingState.badgeMode === 'site') {
+        if (!session || session.incognito) return { text: '', color: CONFIG.BADGE_COLORS.tracking };
+
+        const host = getHostname(session.url);
+        timeMs = Object.entries(data)
+            .filter(([url]) => getHostname(url) === host)
+            .reduce((sum, [, urlMs]) => sum + urlMs, 0);
+    } else {
+        timeMs = Object.values(data).reduce((sum, urlMs) => sum + urlMs, 0);
+    }
+
+    return { text: formatBadgeTime(timeMs), color: CONFIG.BADGE_COLORS.tracking };
+}
+
+// Badges fit about four characters: "45m", "2h05", "11h"
+function formatBadgeTime(ms, round = Math.floor) {
+    const totalMinutes = round(ms / 60000);
+    if (totalMinutes < 60) return `${totalMinutes}m`;
+
+    const hours = Math.floor(totalMinutes / 60);
+    if (hours >= 10) return `${hours}h`;
+    return `${hours}h${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+// ==================== AUTOMATIC DATA CLEANUP ====================
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.dataRetentionMonths || changes.archiveBeforeDelete || changes.compactAfterMonths) {
+        // Apply a new retention period now rather than at the next scheduled run
+        loadRetentionSettings().then(() => performDataCleanup());
+    }
+});
+
+async function loadRetentionSettings() {
+    try {
+        const result = await chrome.storage.local.get(['dataRetentionMonths', 'archiveBeforeDelete', 'compactAfterMonths']);
+        trackingState.dataRetentionMonths = parseRetentionMonths(result.dataRetentionMonths);
+        trackingState.archiveBeforeDelete = result.archiveBeforeDelete === true;
+        trackingState.compactAfterMonths = parseRetentionMonths(result.compactAfterMonths ?? CONFIG.DEFAULT_COMPACT_AFTER_MONTHS);
+        console.log(`🧹 Background: Retention set to ${trackingState.dataRetentionMonths || 'unlimited'} months (archive: ${trackingState.archiveBeforeDelete}, compact after: ${trackingState.compactAfterMonths || 'never'})`);
+    } catch (error) {
+        console.error('❌ Background: Error loading retention settings:', error);
+    }
+}
+
+function parseRetentionMonths(value) {
+    const months = Number(value);
+    return Number.isInteger(months) && months >= 0 ? months : CONFIG.DEFAULT_DATA_RETENTION_MONTHS;
+}
+
+async function startAutomaticCleanup() {
+    console.log('🧹 Background: Starting automatic cleanup cycle');
+
+    // The first run is due immediately; after that every CLEANUP_INTERVAL_HOURS.
+    // An existing schedule is kept, so restarting the worker doesn't reset it.
+    await scheduleJob('dataCleanup', {
+        when: Date.now(),
+        periodInMinutes: CONFIG.CLEANUP_INTERVAL_HOURS * 60
+    });
+}
+
+async function runScheduledCleanup() {
+    console.log('🧹 Background: Running scheduled cleanup');
+    await performDataCleanup();
+}
+
+/**
+ * Cleanup pipeline: first compacts days past the compaction threshold into
+ * monthly summaries, then deletes what is past the retention cutoff
+ * (archiving it first if enabled).
+ */
+async function performDataCleanup() {
+    try {
+        console.log('🧹 Background: Starting automatic data cleanup...');
+
+        const allData = await chrome.storage.local.get(null);
+        await compactDailyData(allData);
+
+        const cutoffDate = calculateDataCutoffDate();
+        if (!cutoffDate) {
+            console.log('✅ Background: Retention is unlimited, nothing to clean up');
+            await saveCleanupMetadata(0, null);
+            return { success: true, removedEntries: 0 };
+        }
+
+        const dataKeysToRemove = findDataKeysToRemove(allData, cutoffDate);
+
+        if (dataKeysToRemove.length > 0 && trackingState.archiveBeforeDelete) {
+            await archiveDailyData(allData, dataKeysToRemove);
+        } else if (!trackingState.archiveBeforeDelete) {
+            dataKeysToRemove.push(...findSummaryKeysToRemove(allData, cutoffDate));
+        }
+
+        if (dataKeysToRemove.length > 0) {
+            await chrome.storage.local.remove(dataKeysToRemove);
+            console.log(`✅ Background: Cleaned up ${dataKeysToRemove.length} old data entries`);
+        } else {
+            console.log('✅ Background: No old data found to clean up');
+        }
+
+        await saveCleanupMetadata(dataKeysToRemove.length, cutoffDate);
+
+        return { success: true, removedEntries: dataKeysToRemove.length };
+    } catch (error) {
+        console.error('❌ Background: Error during automatic cleanup:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * First day that is kept: the start of the month `retentionMonths` before the
+ * current one, so the current month never counts against retention. Returns
+ * null when retention is unlimited.
+ */
+function calculateDataCutoffDate(retentionMonths = trackingState.dataRetentionMonths) {
+    if (retentionMonths === 0) return null;
+
+    const currentDate = new Date();
+    const cutoffDate = new Date(
+        currentDate.getFullYear(),
+        currentDate.getMonth() - retentionMonths,
+        1
+    );
+    const cutoffDateStr = getLocalDateString(cutoffDate);
+
+    console.log(`🧹 Background: Cutoff date for cleanup: ${cutoffDateStr} (keeping current + ${retentionMonths} previous months)`);
+    return cutoffDateStr;
+}
+
+function findDataKeysToRemove(allData, cutoffDateStr) {
+    const dataKeysToRemove = [];
+
+    Object.keys(allData).forEach(key => {
+        const prefix = CONFIG.DAILY_KEY_PREFIXES.find(p => key.startsWith(p));
+        if (prefix) {
+            const dateStr = key.replace(prefix, '');
+
+            // Validate date format (YYYY-MM-DD) and check if it's before cutoff
+            if (isDateString(dateStr) && dateStr < cutoffDateStr) {
+                dataKeysToRemove.push(key);
+                console.log(`🗑️ Background: Marking for removal: ${key}`);
+            }
+        }
+    });
+
+    return dataKeysToRemove;
+}
+
+// Monthly summaries whose whole month is before the cutoff
+function findSummaryKeysToRemove(allData, cutoffDateStr) {
+    const cutoffMonth = cutoffDateStr.slice(0, 7);
+
+    return Object.keys(allData).filter(key => {
+        const month = key.startsWith('summary_') ? key.slice('summary_'.length) : '';
+        return /^\d{4}-\d{2}$/.test(month) && month < cutoffMonth;
+    });
+}
+
+/**
+ * Replaces the daily keys of days older than the compaction threshold with
+ * their month's summary. Updates `allData` in place so the retention step
+ * that follows sees the new state.
+ */
+async function compactDailyData(allData) {
+    const compactCutoff = calculateDataCutoffDate(trackingState.compactAfterMonths);
+    if (!compactCutoff) return;
+
+    const keysToCompact = findDataKeysToRemove(allData, compactCutoff);
+    if (keysToCompact.length === 0) return;
+
+    const summaries = await archiveDailyData(allData, keysToCompact);
+    await chrome.storage.local.remove(keysToCompact);
+
+    Object.assign(allData, summaries);
+    keysToCompact.forEach(key => delete allData[key]);
+    console.log(`🗜️ Background: Compacted ${keysToCompact.length} daily entries before ${compactCutoff}`);
+}
+
+/**
+ * Folds the `data_` days that are about to be deleted into their month's
+ * `summary_YYYY-MM` record. Days already listed in a summary are skipped, so
+ * rerunning an interrupted cleanup doesn't count them twice.
+ */
+async function archiveDailyData(allData, dataKeysToRemove) {
+    const summaries = {};
+
+    dataKeysToRemove
+        .filter(key => key.startsWith('data_'))
+        .forEach(key => {
+            const dateStr = key.slice('data_'.length);
+            const summaryKey = `summary_${dateStr.slice(0, 7)}`;
+            const summary = summaries[summaryKey] || allData[summaryKey] || createMonthSummary();
+
+            summaries[summaryKey] = summary;
+            if (!(dateStr in summary.days)) {
+                addDayToSummary(summary, dateStr, allData[key]);
+            }
+        });
+
+    if (Object.keys(summaries).length > 0) {
+        await chrome.storage.local.set(summaries);
+        console.log(`🗄️ Background: Archived old days into ${Object.keys(summaries).join(', ')}`);
+    }
+
+    return summaries;
+}
+
+function createMonthSummary() {
+    return { days: {}, totalMs: 0, domains: {}, topUrls: {} };
+}
+
+function addDayToSummary(summary, dateStr, dayData) {
+    const urls = { ...summary.topUrls };
+    let dayTotal = 0;
+
+    Object.entries(dayData || {}).forEach(([url, timeMs]) => {
+        let domain;
+        try {
+            domain = new URL(url).hostname || url;
+        } catch {
+            domain = url;
+        }
+
+        summary.domains[domain] = (summary.domains[domain] || 0) + timeMs;
+        urls[url] = (urls[url] || 0) + timeMs;
+        dayTotal += timeMs;
+    });
+
+    summary.days[dateStr] = dayTotal;
+    summary.totalMs += dayTotal;
+
+    // Domain totals stay exact; URL totals are approximate once a URL has
+    // dropped out of the top list and comes back on a later day
+    summary.topUrls = Object.fromEntries(
+        Object.entries(urls)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, CONFIG.SUMMARY_TOP_URLS)
+    );
+}
+
+async function saveCleanupMetadata(removedEntries, cutoffDateStr) {
+    try {
+        await chrome.storage.local.set({
+            lastAutomaticCleanup: {
+                timestamp: Date.now(),
+                removedEntries: removedEntries,
+                cutoffDate: cutoffDateStr
+            }
+        });
+    } catch (error) {
+        console.error('❌ Background: Error saving cleanup metadata:', error);
+    }
+}
+
+// ==================== STORAGE MONITOR ====================
+
+async function startStorageMonitor() {
+    await scheduleJob('storageMonitor', {
+        when: Date.now(),
+        periodInMinutes: CONFIG.STORAGE_CHECK_INTERVAL_MINUTES
+    });
+}
+
+async function checkStorageUsage() {
+    try {
+        const quotaBytes = chrome.storage.local.QUOTA_BYTES;
+        const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+        const ratio = bytesInUse / quotaBytes;
+        console.log(`💽 Background: Storage at ${Math.round(ratio * 100)}% (${bytesInUse} of ${quotaBytes} bytes)`);
+
+        if (ratio >= CONFIG.STORAGE_EMERGENCY_RATIO) {
+            await enqueueStorageWrite(freeStorageSpace);
+            return;
+        }
+
+        if (ratio >= CONFIG.STORAGE_WARNING_RATIO) {
+            const today = getLocalDateString(new Date());
+            const result = await chrome.storage.local.get(['storageAlert']);
+            if (result.storageAlert?.date === today) return;
+
+            await chrome.storage.local.set({ storageAlert: { date: today } });
+            await showNotification(
+                'Time Tracker storage almost full',
+                `Tracked data uses ${Math.round(ratio * 100)}% of the available storage. Shorten data retention, ` +
+                'turn on compaction or export and delete old data in the options.',
+                CONFIG.NOTIFICATION_ICON
+            );
+        }
+    } catch (error) {
+        console.error('❌ Background: Error checking storage usage:', error);
+    }
+}
+
+/**
+ * Writes `items`, and if the quota is exceeded frees space and retries
+ * once, so new time isn't dropped. Call it from inside the storage write
+ * queue: freeing space rewrites other keys.
+ */
+async function setWithQuotaFallback(items) {
+    try {
+        await chrome.storage.local.set(items);
+    } catch (error) {
+        if (!/quota/i.test(error?.message || '')) throw error;
+
+        console.warn('⚠️ Background: Storage quota exceeded, freeing space before retrying');
+        await freeStorageSpace();
+        await chrome.storage.local.set(items);
+    }
+}
+
+/**
+ * Brings storage down to STORAGE_TARGET_RATIO of the quota, oldest month
+ * first and never touching the current month: compacting months into
+ * summaries first, and only deleting months if that isn't enough.
+ */
+async function freeStorageSpace() {
+    const targetBytes = chrome.storage.local.QUOTA_BYTES * CONFIG.STORAGE_TARGET_RATIO;
+    let bytesInUse = await chrome.storage.local.getBytesInUse(null);
+    if (bytesInUse <= targetBytes) return;
+
+    const allData = await chrome.storage.local.get(null);
+    const currentMonth = getLocalDateString(new Date()).slice(0, 7);
+    const months = getStoredMonths(allData).filter(month => month < currentMonth);
+    const compacted = [];
+    const deleted = [];
+
+    for (const month of months) {
+        if (bytesInUse <= targetBytes) break;
+
+        const dailyKeys = getDailyKeysForMonth(allData, month);
+        if (dailyKeys.length === 0) continue;
+
+        try {
+            const summaries = await archiveDailyData(allData, dailyKeys);
+            await chrome.storage.local.remove(dailyKeys);
+            Object.assign(allData, summaries);
+            dailyKeys.forEach(key => delete allData[key]);
+            compacted.push(month);
+        } catch (error) {
+            // Even the summary doesn't fit; fall through to deleting months
+            console.warn(`⚠️ Background: Could not compact ${month}:`, error);
+            break;
+        }
+        bytesInUse = await chrome.storage.local.getBytesInUse(null);
+    }
+
+    for (const month of months) {
+        if (bytesInUse <= targetBytes) break;
+
+        const keys = [`summary_${month}`, ...getDailyKeysForMonth(allData, month)].filter(key => key in allData);
+        if (keys.length === 0) continue;
+
+        await chrome.storage.local.remove(keys);
+        keys.forEach(key => delete allData[key]);
+        deleted.push(month);
+        bytesInUse = await chrome.storage.local.getBytesInUse(null);
+    }
+
+    if (compacted.length > 0 || deleted.length > 0) {
+        const actions = [
+            compacted.length > 0 ? `compacted ${compacted.join(', ')} into monthly summaries` : '',
+            deleted.length > 0 ? `deleted ${deleted.join(', ')}` : ''
+        ].filter(Boolean).join(' and ');
+
+        console.warn(`💽 Background: Freed storage space: ${actions}`);
+        await showNotification(
+            'Time Tracker freed storage space',
+            `Storage was almost full, so the oldest data was ${actions}.`,
+            CONFIG.NOTIFICATION_ICON
+        );
+    }
+}
+
+/**
+ * Storage use per month for the options page. Daily keys and the month's
+ * summary count toward the month; settings and state count as `otherBytes`.
+ */
+async function getStorageUsage() {
+    const allData = await chrome.storage.local.get(null);
+    const bytesInUse = await chrome.storage.local.getBytesInUse(null);
+
+    const months = await Promise.all(getStoredMonths(allData).reverse().map(async month => {
+        const dailyKeys = getDailyKeysForMonth(allData, month);
+        const summary = allData[`summary_${month}`];
+        const keys = summary ? [...dailyKeys, `summary_${month}`] : dailyKeys;
+        const dates = new Set([
+            ...dailyKeys.map(key => key.slice(key.indexOf('_') + 1)),
+            ...Object.keys(summary?.days || {})
+        ]);
+
+        return {
+            month,
+            bytes: await chrome.storage.local.getBytesInUse(keys),
+            days: dates.size,
+            compacted: Boolean(summary)
+        };
+    }));
+
+    const monthBytes = months.reduce((sum, { bytes }) => sum + bytes, 0);
+    return {
+        bytesInUse,
+        quotaBytes: chrome.storage.local.QUOTA_BYTES,
+        months,
+        otherBytes: Math.max(0, bytesInUse - monthBytes)
+    };
+}
+
+// Months (YYYY-MM) that have daily keys or a summary, oldest first
+function getStoredMonths(allData) {
+    const months = new Set();
+
+    Object.keys(allData).forEach(key => {
+        const summaryMonth = /^summary_(\d{4}-\d{2})$/.exec(key)?.[1];
+        if (summaryMonth) {
+            months.add(summaryMonth);
+            return;
+        }
+
+        const prefix = CONFIG.DAILY_KEY_PREFIXES.find(p => key.startsWith(p));
+        const dateStr = prefix ? key.slice(prefix.length) : '';
+        if (isDateString(dateStr)) months.add(dateStr.slice(0, 7));
+    });
+
+    return [...months].sort();
+}
+
+function getDailyKeysForMonth(allData, month) {
+    return Object.keys(allData).filter(key => {
+        const prefix = CONFIG.DAILY_KEY_PREFIXES.find(p => key.startsWith(p));
+        const dateStr = prefix ? key.slice(prefix.length) : '';
+        return isDateString(dateStr) && dateStr.startsWith(`${month}-`);
+    });
+}
+
+// ==================== SCHEDULER ====================
+
+// Jobs run from chrome.alarms, which survive service worker termination.
+// Handlers are looked up by alarm name, so every job must be listed here.
+const SCHEDULED_JOBS = {
+    autoResume: executeAutoResume,
+    dataCleanup: runScheduledCleanup,
+    storageMonitor: checkStorageUsage,
+    badgeRefresh: updateBadge,
+    pauseSchedule: applyPauseSchedules
+};
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    await ensureInitialized();
+    runScheduledJob(alarm.name);
+});
+
+async function getScheduledJobs() {
+    const result = await chrome.storage.local.get(['scheduledJobs']);
+    return result.scheduledJobs || {};
+}
+
+/**
+ * Schedules a job to run at `when` and then every `periodInMinutes` if given.
+ * Calling it again with the same period keeps the existing schedule, so it is
+ * safe to call on every worker start. A one-shot job whose time is already
+ * past runs immediately.
+ */
+async function scheduleJob(name, { when, periodInMinutes = null } = {}) {
+    if (!SCHEDULED_JOBS[name]) {
+        console.warn('⚠️ Background: Unknown scheduled job:', name);
+        return;
+    }
+
+    try {
+        const jobs = await getScheduledJobs();
+        const existing = jobs[name];
+        const isSameSchedule = existing &&
+            existing.periodInMinutes === periodInMinutes &&
+            (periodInMinutes !== null || existing.nextRunTime === when);
+
+        const nextRunTime = isSameSchedule
+            ? existing.nextRunTime
+            : (when ?? Date.now() + periodInMinutes * 60 * 1000);
+
+        if (!isSameSchedule) {
+            jobs[name] = { nextRunTime, periodInMinutes };
+            await chrome.storage.local.set({ scheduledJobs: jobs });
+        }
+
+        if (nextRunTime <= Date.now()) {
+            await runScheduledJob(name);
+            if (periodInMinutes === null) return;
+        }
+
+        const alarm = await chrome.alarms.get(name);
+        if (!isSameSchedule || !alarm) {
+            await createJobAlarm(name);
+        }
+    } catch (error) {
+        console.error(`❌ Background: Error scheduling ${name}:`, error);
+    }
+}
+
+async function cancelJob(name) {
+    try {
+        await chrome.alarms.clear(name);
+        const jobs = await getScheduledJobs();
+        if (jobs[name]) {
+            delete jobs[name];
+            await chrome.storage.local.set({ scheduledJobs: jobs });
+        }
+    } catch (error) {
+        console.error(`❌ Background: Error cancelling ${name}:`, error);
+    }
+}
+
+/**
+ * Runs a job if it is due. Both the alarm and runMissedJobs can ask for the
+ * same run after a wake-up, so the stored next run time decides which one
+ * actually runs it.
+ */
+async function runScheduledJob(name) {
+    const handler = SCHEDULED_JOBS[name];
+    if (!handler) return;
+
+    try {
+        const jobs = await getScheduledJobs();
+        const job = jobs[name];
+        const now = Date.now();
+
+        if (!job) return;
+
+        // Periodic alarms may fire slightly before the stored time drifts to
+        const earlyToleranceMs = job.periodInMinutes ? job.periodInMinutes * 60 * 1000 / 2 : 1000;
+        if (job.nextRunTime - now > earlyToleranceMs) return;
+
+        if (job.periodInMinutes) {
+            jobs[name] = { ...job, nextRunTime: now + job.periodInMinutes * 60 * 1000 };
+        } else {
+            delete jobs[name];
+        }
+        await chrome.storage.local.set({ scheduledJobs: jobs });
+
+        console.log('⏱️ Background: Running scheduled job:', name);
+        await handler();
+    } catch (error) {
+        console.error(`❌ Background: Error running scheduled job ${name}:`, error);
+    }
+}
+
+/**
+ * Alarms are not guaranteed to survive a browser restart, so jobs whose time
+ * passed while Chrome was closed are run on wake and their alarms recreated.
+ */
+async function runMissedJobs() {
+    const jobs = await getScheduledJobs();
+    const now = Date.now();
+
+    for (const [name, job] of Object.entries(jobs)) {
+        if (job.nextRunTime <= now) {
+            console.log('⏱️ Background: Running missed job:', name);
+            await runScheduledJob(name);
+        }
+
+        if (job.periodInMinutes && !(await chrome.alarms.get(name))) {
+            await createJobAlarm(name);
+        }
+    }
+}
+
+async function createJobAlarm(name) {
+    const job = (await getScheduledJobs())[name];
+    if (!job) return;
+
+    const alarmInfo = { when: Math.max(job.nextRunTime, Date.now() + 1000) };
+    if (job.periodInMinutes) alarmInfo.periodInMinutes = job.periodInMinutes;
+
+    await chrome.alarms.create(name, alarmInfo);
+    console.log(`⏱️ Background: Scheduled ${name} for ${new Date(alarmInfo.when).toLocaleString()}`);
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+
+function getLocalDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Incognito URLs never reach the console, whatever the policy
+function describeUrlForLog(url, incognito) {
+    return incognito ? 'an incognito page' : url;
+}
+
+// Hostname of a stored URL, or the URL itself if it can't be parsed
+function getHostname(url) {
+    try {
+        return new URL(url).hostname || url;
+    } catch {
+        return url;
+    }
+}
+
+// Date part of the per-day storage keys (YYYY-MM-DD)
+function isDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// A YYYY-MM-DD string naming a day that exists, so 2024-02-31 is rejected
+function isCalendarDate(value) {
+    if (!isDateString(value)) return false;
+
+    const [year, month, day] = value.split('-').map(Number);
+    return getLocalDateString(new Date(year, month - 1, day)) === value;
+}
+
+/**
+ * Splits a time interval at local midnights. Midnight is computed from local
+ * calendar fields, so days that are 23 or 25 hours long because of a DST
+ * transition are handled without assuming 24-hour days.
+ */
+function splitIntervalByDay(startTime, endTime) {
+    const segments = [];
+    let cursor = startTime;
+
+    while (cursor < endTime) {
+        const day = new Date(cursor);
+        const nextMidnight = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+        const segmentEnd = Math.min(endTime, nextMidnight);
+
+        segments.push({
+            dateStr: getLocalDateString(day),
+            durationMs: segmentEnd - cursor,
+            startTime: cursor,
+            endTime: segmentEnd
+        });
+        cursor = segmentEnd;
+    }
+
+    return segments;
+}
+
+/**
+ * Matches a URL against a site pattern as entered by the user:
+ * - `example.com` matches that host and its subdomains
+ * - `*.example.com` or `news.*` are wildcards on the host only
+ * - `example.com/docs*` (anything with a path) matches host + path from the start
+ * Both sides are lowercased, so `example.com/Docs` also matches `/docs/...`.
+ */
+function matchesUrlPattern(url, pattern) {
+    const normalizedPattern = (pattern || '').trim().toLowerCase();
+    if (!normalizedPattern) return false;
+
+    let host;
+    let path;
+    try {
+        const urlObj = new URL(url);
+        host = urlObj.hostname.toLowerCase();
+        path = urlObj.pathname.toLowerCase();
+    } catch {
+        return false;
+    }
+
+    const hasPath = normalizedPattern.includes('/');
+    if (!hasPath && !normalizedPattern.includes('*')) {
+        return host === normalizedPattern || host.endsWith(`.${normalizedPattern}`);
+    }
+
+    const source = normalizedPattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    const regex = new RegExp(hasPath ? `^${source}` : `^${source}$`);
+
+    return regex.test(hasPath ? `${host}${path}` : host);
+}
+
+/**
+ * Matches a URL against an exclusion pattern. On top of the site patterns
+ * understood by matchesUrlPattern it accepts:
+ * - `/regex/`, tested case-insensitively against the full URL
+ * - a scheme such as `file://` or `about:`, matching every URL that uses it
+ */
+function matchesExclusionPattern(url, pattern) {
+    const trimmedPattern = (pattern || '').trim();
+
+    const regexSource = /^\/(.+)\/$/.exec(trimmedPattern)?.[1];
+    if (regexSource) {
+        try {
+            return new RegExp(regexSource, 'i').test(url);
+        } catch {
+            return false;
+        }
+    }
+
+    if (/^[a-z][a-z0-9+.-]*:(\/\/)?$/i.test(trimmedPattern)) {
+        return url.toLowerCase().startsWith(trimmedPattern.toLowerCase());
+    }
+
+    return matchesUrlPattern(url, trimmedPattern);
+}
+
+/**
+ * Checks whether a date falls inside a weekly schedule of the form
+ * { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' }. A window whose
+ * end is before its start runs overnight into the next day.
+ */
+function isWithinSchedule(schedule, date = new Date()) {
+    const toMinutes = (time) => {
+        const [hours, minutes] = (time || '00:00').split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+
+    const days = schedule.days || [];
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+    const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+
+    if (start === end) return days.includes(today);
+
+    if (start < end) {
+        return days.includes(today) && minuteOfDay >= start && minuteOfDay < end;
+    }
+
+    return (days.includes(today) && minuteOfDay >= start) ||
+        (days.includes(yesterday) && minuteOfDay < end);
+}
 
 async function showNotification(title, message, iconUrl) {
     try {
@@ -528,3 +2790,5 @@ self.addEventListener('error', (event) => {
 });
 
 console.log('🚀 Background: Service worker script loaded');
+
+ensureInitialized();
@@ -0,0 +1,128 @@
+/**
+ * Chrome Time Tracker - Blocked Page Script
+ *
+ * Shown in place of a site that focus mode blocked. Explains why the site
+ * was blocked, shows how much time was already spent on it today and offers
+ * a 5-minute snooze that lets the original page load.
+ *
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const params = new URLSearchParams(window.location.search);
+    const blockedUrl = params.get('url') || '';
+    const reason = params.get('reason') || 'blocklist';
+
+    let host = blockedUrl;
+    try {
+        host = new URL(blockedUrl).hostname;
+    } catch {
+        console.warn('⚠️ Blocked page opened without a valid URL:', blockedUrl);
+    }
+
+    showBlockDetails(host, reason);
+    setupActions(blockedUrl);
+
+    try {
+        const timeMs = await getTimeSpentToday(host);
+        const timeElement = document.getElementById('timeSpentToday');
+        if (timeElement) timeElement.textContent = formatTime(timeMs);
+    } catch (error) {
+        console.error('❌ Error loading time spent today:', error);
+    }
+});
+
+function showBlockDetails(host, reason) {
+    const hostElement = document.getElementById('blockedHost');
+    const reasonElement = document.getElementById('blockedReason');
+
+    if (hostElement) hostElement.textContent = host;
+    if (reasonElement) {
+        reasonElement.textContent = reason === 'budget'
+            ? `${host} is over its daily time budget.`
+            : `${host} is blocked while focus mode is on.`;
+    }
+}
+
+function setupActions(blockedUrl) {
+    const goBackButton = document.getElementById('goBack');
+    const snoozeButton = document.getElementById('snoozeBlock');
+
+    if (goBackButton) {
+        // The blocked URL sits right behind this page in the tab's history, and going
+        // back to it would only be blocked again, so skip over it
+        goBackButton.addEventListener('click', () => {
+            if (window.history.length > 2) {
+                window.history.go(-2);
+                // go() does nothing when the entry is gone; leave for a safe page instead
+                const fallback = setTimeout(() => window.location.replace('statistics.html'), 1000);
+                window.addEventListener('pagehide', () => clearTimeout(fallback), { once: true });
+            } else {
+                window.location.replace('statistics.html');
+            }
+        });
+    }
+
+    if (snoozeButton) {
+        snoozeButton.disabled = !blockedUrl;
+        snoozeButton.addEventListener('click', async () => {
+            snoozeButton.disabled = true;
+
+            try {
+                const response = await chrome.runtime.sendMessage({ action: 'snoozeFocusBlock', url: blockedUrl });
+                if (!response?.success) throw new Error(response?.error || 'Snooze failed');
+
+                console.log('😴 Block snoozed, returning to', blockedUrl);
+                window.location.replace(blockedUrl);
+            } catch (error) {
+                console.error('❌ Error snoozing block:', error);
+                snoozeButton.disabled = false;
+
+                const errorElement = document.getElementById('snoozeError');
+                if (errorElement) {
+                    errorElement.textContent = 'Could not snooze the block. Please try again.';
+                    errorElement.style.display = 'block';
+                }
+            }
+        });
+    }
+}
+
+// Sum today's time across every page on the blocked host
+async function getTimeSpentToday(host) {
+    const key = `data_${getLocalDateString(new Date())}`;
+    const result = await chrome.storage.local.get([key]);
+    const data = result[key] || {};
+
+    return Object.entries(data).reduce((sum, [url, timeMs]) => {
+        try {
+            return new URL(url).hostname === host ? sum + timeMs : sum;
+        } catch {
+            return sum;
+        }
+    }, 0);
+}
+
+function getLocalDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    const remainingMinutes = minutes % 60;
+    const remainingSeconds = seconds % 60;
+
+    const parts = [];
+    if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+    if (remainingMinutes > 0) parts.push(`${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}`);
+    if (remainingSeconds > 0 || parts.length === 0) {
+        parts.push(`${remainingSeconds} second${remainingSeconds !== 1 ? 's' : ''}`);
+    }
+
+    return parts.join(', ');
+}
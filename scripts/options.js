@@ -2,10 +2,20 @@
  * Chrome Time Tracker - Options Page Script
  *
  * Handles the extension options page functionality, allowing users
- * to configure extension settings including startup behavior.
+ * to configure every extension setting, from startup behavior and
+ * tracking rules to focus mode and data retention, to export and
+ * import tracked data, and to see how much storage it uses.
  *
  */
 
+// Cleanup runs in the worker as soon as the retention setting is saved; recount once it has finished
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.lastAutomaticCleanup) {
+        updateRetentionWarning();
+        loadStorageUsage();
+    }
+});
+
 // Load saved options when page loads
 document.addEventListener('DOMContentLoaded', async () => {
     try {
@@ -18,10 +28,73 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+const DEFAULT_IDLE_THRESHOLD_SECONDS = 300;
+const DEFAULT_BADGE_MODE = 'off';
+const DEFAULT_INCOGNITO_POLICY = 'never';
+const DEFAULT_EXCLUDED_SITE_MODE = 'skip';
+const DEFAULT_BUDGET_WARNING_THRESHOLDS = [80, 100];
+const URL_RULE_MODES = {
+    domain: 'Domain only',
+    segments: 'First path segments',
+    path: 'Full path',
+    query: 'Path + query params'
+};
+const PRODUCTIVITY_RATINGS = {
+    productive: 'Productive',
+    neutral: 'Neutral',
+    distracting: 'Distracting'
+};
+const DEFAULT_FOCUS_SCHEDULE = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+const DEFAULT_PAUSE_SCHEDULE = { mode: 'outside', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+const PAUSE_SCHEDULE_MODES = {
+    outside: "Don't track outside",
+    during: "Don't track during"
+};
+const WEEKDAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+const DEFAULT_DATA_RETENTION_MONTHS = 3; // 0 keeps everything
+const DEFAULT_COMPACT_AFTER_MONTHS = 0; // 0 never compacts
+const EXPORT_CSV_COLUMNS = ['date', 'url', 'domain', 'seconds'];
+const IMPORT_MODE_DESCRIPTIONS = {
+    sum: 'added to the time already recorded',
+    max: 'merged, keeping the larger value per page',
+    replace: 'replace the recorded data for those days'
+};
+
+// Parsed import file waiting for the user to confirm its dry-run summary
+let pendingImport = null;
+
+// Excluded-site list and mode the cleanup preview was computed for
+let pendingExcludedPurge = null;
+
+// Stays false if the category list failed to load, so saving can't replace it with an empty one
+let siteCategoriesLoaded = false;
+
+// The worker's starter list; a list left unchanged isn't saved, so it keeps following updates
+let starterSiteCategories = [];
+
 // Load options from storage
 async function loadOptions() {
     try {
-        const result = await chrome.storage.local.get(['showWelcomeOnStartup']);
+        const result = await chrome.storage.local.get([
+            'showWelcomeOnStartup',
+            'badgeMode',
+            'idleThresholdSeconds',
+            'countMediaAsActive',
+            'incognitoPolicy',
+            'excludedSites',
+            'excludedSiteMode',
+            'pauseSchedules',
+            'urlRules',
+            'siteRatings',
+            'siteBudgets',
+            'budgetWarningThresholds',
+            'focusMode',
+            'focusBlockList',
+            'focusAllowList',
+            'dataRetentionMonths',
+            'archiveBeforeDelete',
+            'compactAfterMonths'
+        ]);
         const showWelcome = result.showWelcomeOnStartup !== false; // Default to true
 
         const checkbox = document.getElementById('showWelcomeOnStartup');
@@ -29,6 +102,71 @@ async function loadOptions() {
             checkbox.checked = showWelcome;
             console.log('📋 Loaded welcome preference:', showWelcome);
         }
+
+        const badgeSelect = document.getElementById('badgeMode');
+        if (badgeSelect) {
+            badgeSelect.value = result.badgeMode || DEFAULT_BADGE_MODE;
+        }
+
+        const idleSelect = document.getElementById('idleThresholdSeconds');
+        if (idleSelect) {
+            idleSelect.value = String(result.idleThresholdSeconds || DEFAULT_IDLE_THRESHOLD_SECONDS);
+        }
+
+        const mediaCheckbox = document.getElementById('countMediaAsActive');
+        if (mediaCheckbox) {
+            mediaCheckbox.checked = result.countMediaAsActive !== false; // Default to true
+        }
+
+        const incognitoSelect = document.getElementById('incognitoPolicy');
+        if (incognitoSelect) {
+            incognitoSelect.value = result.incognitoPolicy || DEFAULT_INCOGNITO_POLICY;
+        }
+
+        renderPatternList('excludedSiteList', result.excludedSites || []);
+        const excludedModeSelect = document.getElementById('excludedSiteMode');
+        if (excludedModeSelect) {
+            excludedModeSelect.value = result.excludedSiteMode || DEFAULT_EXCLUDED_SITE_MODE;
+        }
+
+        renderPauseScheduleList(result.pauseSchedules || []);
+        renderUrlRuleList(result.urlRules || []);
+        try {
+            await loadSiteCategories();
+        } catch (error) {
+            // The rest of the page still works without the category list
+            console.error('❌ Error loading site categories:', error);
+            showStatus('Could not load site categories. Other options can still be saved.', 'error');
+        }
+        renderSiteRatingList(result.siteRatings || []);
+        renderBudgetList(result.siteBudgets || []);
+
+        const thresholdsInput = document.getElementById('budgetWarningThresholds');
+        if (thresholdsInput) {
+            thresholdsInput.value = (result.budgetWarningThresholds || DEFAULT_BUDGET_WARNING_THRESHOLDS).join(', ');
+        }
+
+        loadFocusOptions(result.focusMode || {});
+        renderPatternList('focusBlockList', result.focusBlockList || []);
+        renderPatternList('focusAllowList', result.focusAllowList || []);
+
+        const retentionSelect = document.getElementById('dataRetentionMonths');
+        if (retentionSelect) {
+            retentionSelect.value = String(result.dataRetentionMonths ?? DEFAULT_DATA_RETENTION_MONTHS);
+        }
+
+        const archiveCheckbox = document.getElementById('archiveBeforeDelete');
+        if (archiveCheckbox) {
+            archiveCheckbox.checked = result.archiveBeforeDelete === true;
+        }
+
+        const compactSelect = document.getElementById('compactAfterMonths');
+        if (compactSelect) {
+            compactSelect.value = String(result.compactAfterMonths ?? DEFAULT_COMPACT_AFTER_MONTHS);
+        }
+
+        await setDefaultExportRange(result.dataRetentionMonths ?? DEFAULT_DATA_RETENTION_MONTHS);
+        loadStorageUsage();
     } catch (error) {
         console.error('❌ Error loading options:', error);
         throw error;
@@ -39,19 +177,60 @@ async function loadOptions() {
 async function saveOptions() {
     try {
         const checkbox = document.getElementById('showWelcomeOnStartup');
+        const badgeSelect = document.getElementById('badgeMode');
+        const idleSelect = document.getElementById('idleThresholdSeconds');
+        const mediaCheckbox = document.getElementById('countMediaAsActive');
+        const incognitoSelect = document.getElementById('incognitoPolicy');
+        const excludedModeSelect = document.getElementById('excludedSiteMode');
+        const thresholdsInput = document.getElementById('budgetWarningThresholds');
+        const retentionSelect = document.getElementById('dataRetentionMonths');
+        const archiveCheckbox = document.getElementById('archiveBeforeDelete');
+        const compactSelect = document.getElementById('compactAfterMonths');
         const saveButton = document.getElementById('save');
 
-        if (!checkbox || !saveButton) return;
+        if (!checkbox || !badgeSelect || !idleSelect || !mediaCheckbox || !incognitoSelect || !excludedModeSelect ||
+            !thresholdsInput || !retentionSelect || !archiveCheckbox || !compactSelect || !saveButton) return;
+
+        const excludedSites = collectExcludedSites();
+        const invalidPattern = excludedSites.find(pattern => !isValidExclusionPattern(pattern));
+        if (invalidPattern) {
+            showStatus(`"${invalidPattern}" is not a valid regular expression`, 'error');
+            return;
+        }
 
         // Disable save button during save
         saveButton.disabled = true;
         saveButton.textContent = 'Saving...';
 
-        // Save the option
+        // Save the options
         await chrome.storage.local.set({
-            showWelcomeOnStartup: checkbox.checked
+            showWelcomeOnStartup: checkbox.checked,
+            badgeMode: badgeSelect.value,
+            idleThresholdSeconds: Number(idleSelect.value),
+            countMediaAsActive: mediaCheckbox.checked,
+            incognitoPolicy: incognitoSelect.value,
+            excludedSites,
+            excludedSiteMode: excludedModeSelect.value,
+            pauseSchedules: collectPauseSchedules(),
+            urlRules: collectUrlRules(),
+            ...getSiteCategoriesUpdate(),
+            siteRatings: collectSiteRatings(),
+            siteBudgets: collectBudgets(),
+            budgetWarningThresholds: parseThresholds(thresholdsInput.value),
+            focusMode: collectFocusOptions(),
+            focusBlockList: collectPatterns('focusBlockList'),
+            focusAllowList: collectPatterns('focusAllowList'),
+            dataRetentionMonths: Number(retentionSelect.value),
+            archiveBeforeDelete: archiveCheckbox.checked,
+            compactAfterMonths: Number(compactSelect.value)
         });
 
+        if (siteCategoriesLoaded && isStarterSiteCategoryList()) {
+            await chrome.storage.local.remove(['siteCategories']);
+        }
+
+        offerExcludedSitePurge();
+
         console.log('💾 Options saved successfully');
         showStatus('Options saved successfully!', 'success');
 
@@ -77,20 +256,120 @@ async function saveOptions() {
 // Setup event listeners
 function setupEventListeners() {
     const saveButton = document.getElementById('save');
-    const checkbox = document.getElementById('showWelcomeOnStartup');
 
     if (saveButton) {
         saveButton.addEventListener('click', saveOptions);
     }
 
-    // Auto-save when checkbox changes (optional - provides immediate feedback)
-    if (checkbox) {
-        checkbox.addEventListener('change', () => {
-            // Optional: Could auto-save here, but keeping manual save for now
-            clearStatus();
+    const addPauseScheduleButton = document.getElementById('addPauseSchedule');
+    if (addPauseScheduleButton) {
+        addPauseScheduleButton.addEventListener('click', () => {
+            addPauseScheduleRow(DEFAULT_PAUSE_SCHEDULE)?.querySelector('select')?.focus();
+        });
+    }
+
+    const addUrlRuleButton = document.getElementById('addUrlRule');
+    if (addUrlRuleButton) {
+        addUrlRuleButton.addEventListener('click', () => {
+            addUrlRuleRow({ pattern: '', mode: 'segments', segments: 2 })?.querySelector('input')?.focus();
         });
     }
 
+    // Re-run the preview whenever the sample URL or any rule changes
+    const urlRuleSection = document.getElementById('urlRuleList')?.closest('.options-section');
+    if (urlRuleSection) {
+        urlRuleSection.addEventListener('input', updateUrlRulePreview);
+        urlRuleSection.addEventListener('change', updateUrlRulePreview);
+    }
+
+    const addCategoryButton = document.getElementById('addSiteCategory');
+    if (addCategoryButton) {
+        addCategoryButton.addEventListener('click', () => {
+            addSiteCategoryRow({ pattern: '', category: '' })?.querySelector('input')?.focus();
+        });
+    }
+
+    const restoreCategoriesButton = document.getElementById('restoreSiteCategories');
+    if (restoreCategoriesButton) {
+        restoreCategoriesButton.addEventListener('click', restoreDefaultSiteCategories);
+    }
+
+    const addRatingButton = document.getElementById('addSiteRating');
+    if (addRatingButton) {
+        addRatingButton.addEventListener('click', () => {
+            addSiteRatingRow({ pattern: '', rating: 'productive' })?.querySelector('input')?.focus();
+        });
+    }
+
+    const addExcludedSiteButton = document.getElementById('addExcludedSite');
+    if (addExcludedSiteButton) {
+        addExcludedSiteButton.addEventListener('click', () => {
+            addPatternRow('excludedSiteList', '', 'bank.com')?.querySelector('input')?.focus();
+        });
+    }
+
+    const purgeExcludedButton = document.getElementById('purgeExcludedSites');
+    if (purgeExcludedButton) {
+        purgeExcludedButton.addEventListener('click', purgeExcludedSites);
+    }
+
+    const dismissPurgeButton = document.getElementById('dismissExcludedPurge');
+    if (dismissPurgeButton) {
+        dismissPurgeButton.addEventListener('click', hideExcludedSitePurge);
+    }
+
+    const addBudgetButton = document.getElementById('addBudget');
+    if (addBudgetButton) {
+        addBudgetButton.addEventListener('click', () => {
+            const row = addBudgetRow({ pattern: '', minutesPerDay: 30 });
+            row?.querySelector('input')?.focus();
+        });
+    }
+
+    const addFocusBlockButton = document.getElementById('addFocusBlock');
+    if (addFocusBlockButton) {
+        addFocusBlockButton.addEventListener('click', () => {
+            addPatternRow('focusBlockList', '', 'twitter.com')?.querySelector('input')?.focus();
+        });
+    }
+
+    const addFocusAllowButton = document.getElementById('addFocusAllow');
+    if (addFocusAllowButton) {
+        addFocusAllowButton.addEventListener('click', () => {
+            addPatternRow('focusAllowList', '', 'docs.google.com')?.querySelector('input')?.focus();
+        });
+    }
+
+    ['dataRetentionMonths', 'archiveBeforeDelete'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', updateRetentionWarning);
+    });
+
+    const exportButton = document.getElementById('exportData');
+    if (exportButton) {
+        exportButton.addEventListener('click', exportData);
+    }
+
+    const previewImportButton = document.getElementById('previewImport');
+    if (previewImportButton) {
+        previewImportButton.addEventListener('click', previewImport);
+    }
+
+    const confirmImportButton = document.getElementById('confirmImport');
+    if (confirmImportButton) {
+        confirmImportButton.addEventListener('click', confirmImport);
+    }
+
+    // A new file or mode needs a fresh dry run before it can be imported
+    ['importFile', 'importMode'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', resetImportPreview);
+    });
+
+    // Clear any stale status when an option changes (saving stays manual).
+    // Delegated so that rows added to rule lists later are covered too.
+    document.addEventListener('change', (e) => {
+        if (e.target.closest('.options-section')) clearStatus();
+    });
+
     // Keyboard shortcut for save (Ctrl+S or Cmd+S)
     document.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
@@ -100,23 +379,914 @@ function setupEventListeners() {
     });
 }
 
+// ==================== DO-NOT-TRACK SCHEDULES ====================
+
+function renderPauseScheduleList(schedules) {
+    const list = document.getElementById('pauseScheduleList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    schedules.forEach(schedule => addPauseScheduleRow(schedule));
+}
+
+function addPauseScheduleRow(schedule) {
+    const list = document.getElementById('pauseScheduleList');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'rule-row schedule-row';
+
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'option-select rule-select';
+    Object.entries(PAUSE_SCHEDULE_MODES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        modeSelect.appendChild(option);
+    });
+    modeSelect.value = schedule.mode;
+
+    const startInput = document.createElement('input');
+    startInput.type = 'time';
+    startInput.className = 'option-input schedule-start';
+    startInput.value = schedule.start;
+
+    const separator = document.createElement('span');
+    separator.className = 'rule-unit';
+    separator.textContent = 'to';
+
+    const endInput = document.createElement('input');
+    endInput.type = 'time';
+    endInput.className = 'option-input schedule-end';
+    endInput.value = schedule.end;
+
+    const dayPicker = document.createElement('div');
+    dayPicker.className = 'day-picker';
+    WEEKDAYS.forEach(([day, label]) => {
+        const dayOption = document.createElement('label');
+        dayOption.className = 'day-option';
+
+        const dayCheckbox = document.createElement('input');
+        dayCheckbox.type = 'checkbox';
+        dayCheckbox.className = 'schedule-day';
+        dayCheckbox.value = day;
+        dayCheckbox.checked = schedule.days.includes(day);
+
+        const dayLabel = document.createElement('span');
+        dayLabel.textContent = label;
+
+        dayOption.append(dayCheckbox, dayLabel);
+        dayPicker.appendChild(dayOption);
+    });
+
+    row.append(modeSelect, startInput, separator, endInput, dayPicker, createRemoveRowButton(row));
+    list.appendChild(row);
+    return row;
+}
+
+function collectPauseSchedules() {
+    return Array.from(document.querySelectorAll('#pauseScheduleList .schedule-row'))
+        .map(row => ({
+            mode: row.querySelector('.rule-select').value,
+            days: Array.from(row.querySelectorAll('.schedule-day:checked'))
+                .map(dayCheckbox => Number(dayCheckbox.value))
+                .sort((a, b) => a - b),
+            start: row.querySelector('.schedule-start').value || DEFAULT_PAUSE_SCHEDULE.start,
+            end: row.querySelector('.schedule-end').value || DEFAULT_PAUSE_SCHEDULE.end
+        }))
+        .filter(schedule => schedule.days.length > 0);
+}
+
+// ==================== URL GROUPING RULES ====================
+
+function renderUrlRuleList(rules) {
+    const list = document.getElementById('urlRuleList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    rules.forEach(rule => addUrlRuleRow(rule));
+}
+
+function addUrlRuleRow(rule) {
+    const list = document.getElementById('urlRuleList');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'option-input rule-pattern';
+    patternInput.placeholder = 'github.com';
+    patternInput.value = rule.pattern;
+
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'option-select rule-select';
+    Object.entries(URL_RULE_MODES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        modeSelect.appendChild(option);
+    });
+    modeSelect.value = rule.mode || 'path';
+
+    const segmentsInput = document.createElement('input');
+    segmentsInput.type = 'number';
+    segmentsInput.min = '0';
+    segmentsInput.className = 'option-input rule-number';
+    segmentsInput.title = 'Number of path segments to keep';
+    segmentsInput.value = rule.segments ?? 1;
+
+    const paramsInput = document.createElement('input');
+    paramsInput.type = 'text';
+    paramsInput.className = 'option-input rule-params';
+    paramsInput.placeholder = 'id, page';
+    paramsInput.title = 'Query parameters to keep, comma-separated';
+    paramsInput.value = (rule.queryParams || []).join(', ');
+
+    const hashLabel = document.createElement('label');
+    hashLabel.className = 'rule-checkbox';
+    hashLabel.title = 'Keep the #fragment, for sites that route with it';
+    const hashCheckbox = document.createElement('input');
+    hashCheckbox.type = 'checkbox';
+    hashCheckbox.checked = rule.keepHash === true;
+    hashLabel.append(hashCheckbox, '#');
+
+    const updateVisibleFields = () => {
+        segmentsInput.style.display = modeSelect.value === 'segments' ? '' : 'none';
+        paramsInput.style.display = modeSelect.value === 'query' ? '' : 'none';
+        hashLabel.style.display = modeSelect.value === 'domain' ? 'none' : '';
+    };
+    modeSelect.addEventListener('change', updateVisibleFields);
+    updateVisibleFields();
+
+    row.append(patternInput, modeSelect, segmentsInput, paramsInput, hashLabel, createRemoveRowButton(row));
+    list.appendChild(row);
+    return row;
+}
+
+function collectUrlRules() {
+    return Array.from(document.querySelectorAll('#urlRuleList .rule-row'))
+        .map(row => {
+            const [patternInput, segmentsInput, paramsInput] = row.querySelectorAll('input.option-input');
+            const rule = {
+                pattern: patternInput.value.trim().toLowerCase(),
+                mode: row.querySelector('select').value,
+                keepHash: row.querySelector('.rule-checkbox input').checked
+            };
+
+            if (rule.mode === 'segments') {
+                rule.segments = Math.max(0, Math.floor(Number(segmentsInput.value) || 0));
+            }
+            if (rule.mode === 'query') {
+                rule.queryParams = paramsInput.value.split(',').map(param => param.trim()).filter(Boolean);
+            }
+
+            return rule;
+        })
+        .filter(rule => rule.pattern);
+}
+
+async function updateUrlRulePreview() {
+    const input = document.getElementById('urlRulePreviewInput');
+    const result = document.getElementById('urlRulePreviewResult');
+    if (!input || !result) return;
+
+    const sampleUrl = input.value.trim();
+    if (!sampleUrl) {
+        result.textContent = 'Enter a URL to see how it would be recorded.';
+        return;
+    }
+
+    try {
+        // The worker does the normalizing, so the preview can't drift from real tracking
+        const response = await chrome.runtime.sendMessage({
+            action: 'previewUrlNormalization',
+            url: sampleUrl,
+            rules: collectUrlRules()
+        });
+
+        if (!response?.success) {
+            result.textContent = response?.error || 'Not a valid URL';
+            return;
+        }
+
+        result.innerHTML = '';
+        const code = document.createElement('code');
+        code.textContent = response.normalizedUrl;
+        result.append('Recorded as ', code, response.matchedPattern
+            ? ` (rule: ${response.matchedPattern})`
+            : ' (default: full path)');
+    } catch (error) {
+        console.error('❌ Error previewing URL rule:', error);
+        result.textContent = 'Preview unavailable';
+    }
+}
+
+// ==================== SITE CATEGORIES ====================
+
+// The background owns the starter list, so it's asked rather than duplicated here
+async function loadSiteCategories(defaults = false) {
+    const response = await chrome.runtime.sendMessage({ action: 'getSiteCategories', defaults });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Could not load site categories');
+    }
+    renderSiteCategoryList(response.categories);
+    starterSiteCategories = response.starterList || [];
+    siteCategoriesLoaded = true;
+}
+
+async function restoreDefaultSiteCategories() {
+    try {
+        await loadSiteCategories(true);
+        showStatus('Starter categories restored. Save to keep them.', 'success');
+    } catch (error) {
+        console.error('❌ Error restoring site categories:', error);
+        showStatus('Could not restore the starter categories', 'error');
+    }
+}
+
+function renderSiteCategoryList(entries) {
+    const list = document.getElementById('siteCategoryList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    entries.forEach(entry => addSiteCategoryRow(entry));
+    updateSiteCategoryOptions();
+}
+
+function addSiteCategoryRow(entry) {
+    const list = document.getElementById('siteCategoryList');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'option-input rule-pattern';
+    patternInput.placeholder = 'github.com';
+    patternInput.value = entry.pattern;
+
+    const categoryInput = document.createElement('input');
+    categoryInput.type = 'text';
+    categoryInput.className = 'option-input rule-category';
+    categoryInput.placeholder = 'Work';
+    categoryInput.value = entry.category;
+    categoryInput.setAttribute('list', 'siteCategoryOptions');
+    categoryInput.addEventListener('change', updateSiteCategoryOptions);
+
+    row.append(patternInput, categoryInput, createRemoveRowButton(row));
+    list.appendChild(row);
+    return row;
+}
+
+// Offer the categories already in use so new rows reuse the same names
+function updateSiteCategoryOptions() {
+    const datalist = document.getElementById('siteCategoryOptions');
+    if (!datalist) return;
+
+    const categories = new Set(collectSiteCategories().map(entry => entry.category));
+    datalist.innerHTML = '';
+    [...categories].sort().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        datalist.appendChild(option);
+    });
+}
+
+// Only an edited list is stored; unset means the starter list
+function getSiteCategoriesUpdate() {
+    if (!siteCategoriesLoaded || isStarterSiteCategoryList()) return {};
+    return { siteCategories: collectSiteCategories() };
+}
+
+function isStarterSiteCategoryList() {
+    const toKey = (entries) => JSON.stringify(entries.map(({ pattern, category }) => [pattern.toLowerCase(), category]));
+    return toKey(collectSiteCategories()) === toKey(starterSiteCategories);
+}
+
+function collectSiteCategories() {
+    return Array.from(document.querySelectorAll('#siteCategoryList .rule-row'))
+        .map(row => ({
+            pattern: row.querySelector('.rule-pattern').value.trim().toLowerCase(),
+            category: row.querySelector('.rule-category').value.trim()
+        }))
+        .filter(entry => entry.pattern && entry.category);
+}
+
+// ==================== PRODUCTIVITY RATINGS ====================
+
+function renderSiteRatingList(ratings) {
+    const list = document.getElementById('siteRatingList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    ratings.forEach(entry => addSiteRatingRow(entry));
+}
+
+function addSiteRatingRow(entry) {
+    const list = document.getElementById('siteRatingList');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'option-input rule-pattern';
+    patternInput.placeholder = 'youtube.com';
+    patternInput.value = entry.pattern;
+
+    const ratingSelect = document.createElement('select');
+    ratingSelect.className = 'option-select rule-select';
+    Object.entries(PRODUCTIVITY_RATINGS).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        ratingSelect.appendChild(option);
+    });
+    ratingSelect.value = entry.rating;
+
+    row.append(patternInput, ratingSelect, createRemoveRowButton(row));
+    list.appendChild(row);
+    return row;
+}
+
+function collectSiteRatings() {
+    return Array.from(document.querySelectorAll('#siteRatingList .rule-row'))
+        .map(row => ({
+            pattern: row.querySelector('.rule-pattern').value.trim().toLowerCase(),
+            rating: row.querySelector('.rule-select').value
+        }))
+        .filter(entry => entry.pattern);
+}
+
+// ==================== DAILY TIME BUDGETS ====================
+
+function renderBudgetList(budgets) {
+    const list = document.getElementById('budgetList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    budgets.forEach(budget => addBudgetRow(budget));
+}
+
+function addBudgetRow(budget) {
+    const list = document.getElementById('budgetList');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'option-input rule-pattern';
+    patternInput.placeholder = 'youtube.com';
+    patternInput.value = budget.pattern;
+
+    const minutesInput = document.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.min = '1';
+    minutesInput.className = 'option-input rule-number';
+    minutesInput.value = budget.minutesPerDay;
+
+    const unit = document.createElement('span');
+    unit.className = 'rule-unit';
+    unit.textContent = 'min/day';
+
+    row.append(patternInput, minutesInput, unit, createRemoveRowButton(row));
+    list.appendChild(row);
+    return row;
+}
+
+function collectBudgets() {
+    return Array.from(document.querySelectorAll('#budgetList .rule-row'))
+        .map(row => ({
+            pattern: row.querySelector('.rule-pattern').value.trim().toLowerCase(),
+            minutesPerDay: Number(row.querySelector('.rule-number').value)
+        }))
+        .filter(budget => budget.pattern && budget.minutesPerDay > 0);
+}
+
+function parseThresholds(value) {
+    const thresholds = value.split(',')
+        .map(part => Number(part.trim()))
+        .filter(threshold => Number.isFinite(threshold) && threshold > 0);
+
+    return thresholds.length > 0
+        ? [...new Set(thresholds)].sort((a, b) => a - b)
+        : DEFAULT_BUDGET_WARNING_THRESHOLDS;
+}
+
+// ==================== FOCUS MODE ====================
+
+function loadFocusOptions(focusMode) {
+    const schedule = { ...DEFAULT_FOCUS_SCHEDULE, ...(focusMode.schedule || {}) };
+
+    const enabledCheckbox = document.getElementById('focusModeEnabled');
+    const scheduleCheckbox = document.getElementById('focusScheduleEnabled');
+    const startInput = document.getElementById('focusScheduleStart');
+    const endInput = document.getElementById('focusScheduleEnd');
+    const budgetCheckbox = document.getElementById('blockOverBudget');
+
+    if (enabledCheckbox) enabledCheckbox.checked = focusMode.enabled === true;
+    if (scheduleCheckbox) scheduleCheckbox.checked = focusMode.scheduleEnabled === true;
+    if (startInput) startInput.value = schedule.start;
+    if (endInput) endInput.value = schedule.end;
+    if (budgetCheckbox) budgetCheckbox.checked = focusMode.blockOverBudget === true;
+
+    document.querySelectorAll('.focus-day').forEach(dayCheckbox => {
+        dayCheckbox.checked = schedule.days.includes(Number(dayCheckbox.value));
+    });
+}
+
+function collectFocusOptions() {
+    const days = Array.from(document.querySelectorAll('.focus-day:checked'))
+        .map(dayCheckbox => Number(dayCheckbox.value))
+        .sort((a, b) => a - b);
+
+    return {
+        enabled: document.getElementById('focusModeEnabled')?.checked === true,
+        scheduleEnabled: document.getElementById('focusScheduleEnabled')?.checked === true,
+        schedule: {
+            days,
+            start: document.getElementById('focusScheduleStart')?.value || DEFAULT_FOCUS_SCHEDULE.start,
+            end: document.getElementById('focusScheduleEnd')?.value || DEFAULT_FOCUS_SCHEDULE.end
+        },
+        blockOverBudget: document.getElementById('blockOverBudget')?.checked === true
+    };
+}
+
+// ==================== PATTERN LISTS ====================
+
+function renderPatternList(listId, patterns) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+
+    list.innerHTML = '';
+    patterns.forEach(pattern => addPatternRow(listId, pattern));
+}
+
+function addPatternRow(listId, pattern, placeholder = '') {
+    const list = document.getElementById(listId);
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'option-input rule-pattern';
+    patternInput.placeholder = placeholder;
+    patternInput.value = pattern;
+
+    row.append(patternInput, createRemoveRowButton(row));
+    list.appendChild(row);
+    return row;
+}
+
+function collectPatterns(listId) {
+    const patterns = Array.from(document.querySelectorAll(`#${listId} .rule-pattern`))
+        .map(input => input.value.trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(patterns)];
+}
+
+// ==================== PRIVATE SITES ====================
+
+// Like collectPatterns, but regular expressions keep their case
+function collectExcludedSites() {
+    const patterns = Array.from(document.querySelectorAll('#excludedSiteList .rule-pattern'))
+        .map(input => input.value.trim())
+        .filter(Boolean)
+        .map(pattern => isRegexPattern(pattern) ? pattern : pattern.toLowerCase());
+
+    return [...new Set(patterns)];
+}
+
+function isRegexPattern(pattern) {
+    return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+}
+
+function isValidExclusionPattern(pattern) {
+    if (!isRegexPattern(pattern)) return true;
+
+    try {
+        new RegExp(pattern.slice(1, -1), 'i');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// After a save, offer to clean up time that was recorded before a site was excluded
+async function offerExcludedSitePurge() {
+    const summaryElement = document.getElementById('excludedPurgeSummary');
+    const actions = document.getElementById('excludedPurgeActions');
+    if (!summaryElement || !actions) return;
+
+    try {
+        const request = getExcludedSitePurgeRequest();
+        const response = await chrome.runtime.sendMessage({ action: 'purgeExcludedSites', ...request, dryRun: true });
+        const { days, entries, totalMs, blockedAttempts, archivedMonths, mode } = response?.summary || {};
+        if (!response?.success || (entries === 0 && blockedAttempts === 0 && archivedMonths === 0)) {
+            hideExcludedSitePurge();
+            return;
+        }
+
+        const found = [];
+        if (entries > 0) {
+            found.push(`${formatDuration(totalMs)} in ${entries} page entr${entries !== 1 ? 'ies' : 'y'} over ${days} day${days !== 1 ? 's' : ''}`);
+        }
+        if (blockedAttempts > 0) {
+            found.push(`${blockedAttempts} blocked attempt${blockedAttempts !== 1 ? 's' : ''}`);
+        }
+        if (archivedMonths > 0) {
+            found.push(`${archivedMonths} monthly summar${archivedMonths !== 1 ? 'ies' : 'y'}`);
+        }
+        summaryElement.textContent = `Excluded sites are already recorded: ${found.join(', ')}. ` +
+            (mode === 'private' ? 'Move them into the "Private" entry?' : 'Delete them?');
+        pendingExcludedPurge = request;
+        summaryElement.style.display = 'block';
+        actions.style.display = 'flex';
+    } catch (error) {
+        console.error('❌ Error previewing excluded site cleanup:', error);
+        hideExcludedSitePurge();
+    }
+}
+
+// Applies the previewed cleanup, not whatever the form holds now, so unsaved edits can't widen it
+async function purgeExcludedSites() {
+    if (!pendingExcludedPurge) return;
+
+    const purgeButton = document.getElementById('purgeExcludedSites');
+    try {
+        if (purgeButton) purgeButton.disabled = true;
+
+        const response = await chrome.runtime.sendMessage({ action: 'purgeExcludedSites', ...pendingExcludedPurge, dryRun: false });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Cleanup failed');
+        }
+
+        hideExcludedSitePurge();
+        showStatus('Cleaned up excluded sites', 'success');
+        loadStorageUsage();
+    } catch (error) {
+        console.error('❌ Error cleaning up excluded sites:', error);
+        showStatus('Error cleaning up excluded sites', 'error');
+    } finally {
+        if (purgeButton) purgeButton.disabled = false;
+    }
+}
+
+function getExcludedSitePurgeRequest() {
+    return {
+        patterns: collectExcludedSites(),
+        mode: document.getElementById('excludedSiteMode')?.value || DEFAULT_EXCLUDED_SITE_MODE
+    };
+}
+
+function hideExcludedSitePurge() {
+    pendingExcludedPurge = null;
+    const summaryElement = document.getElementById('excludedPurgeSummary');
+    const actions = document.getElementById('excludedPurgeActions');
+    if (summaryElement) summaryElement.style.display = 'none';
+    if (actions) actions.style.display = 'none';
+}
+
+// ==================== DATA RETENTION ====================
+
+async function updateRetentionWarning() {
+    const retentionSelect = document.getElementById('dataRetentionMonths');
+    const archiveCheckbox = document.getElementById('archiveBeforeDelete');
+    const warning = document.getElementById('retentionWarning');
+    if (!retentionSelect || !warning) return;
+
+    try {
+        // The worker counts with the same cutoff that cleanup will use
+        const response = await chrome.runtime.sendMessage({
+            action: 'previewRetentionChange',
+            months: Number(retentionSelect.value),
+            archiveBeforeDelete: archiveCheckbox?.checked === true
+        });
+
+        if (!response?.success || response.daysToDelete === 0) {
+            warning.style.display = 'none';
+            return;
+        }
+
+        const { daysToDelete, cutoffDate } = response;
+        warning.textContent = `${daysToDelete} day${daysToDelete !== 1 ? 's' : ''} recorded before ${cutoffDate} will be deleted. ` +
+            (archiveCheckbox?.checked
+                ? 'Their totals will be kept as monthly summaries.'
+                : 'Export them first if you want to keep a copy.');
+        warning.style.display = 'block';
+    } catch (error) {
+        console.error('❌ Error previewing retention change:', error);
+        warning.style.display = 'none';
+    }
+}
+
+// ==================== DATA EXPORT AND IMPORT ====================
+
+/**
+ * Defaults to everything that is retained: from the same cutoff cleanup uses
+ * (the current month plus `retentionMonths` before it), or from the oldest
+ * recorded day when retention is unlimited.
+ */
+async function setDefaultExportRange(retentionMonths) {
+    const fromInput = document.getElementById('exportFrom');
+    const toInput = document.getElementById('exportTo');
+    const today = new Date();
+
+    let fromDateStr = getLocalDateString(new Date(today.getFullYear(), today.getMonth() - retentionMonths, 1));
+    if (retentionMonths === 0) {
+        const allData = await chrome.storage.local.get(null);
+        const oldestDateStr = Object.keys(allData)
+            .map(key => /^data_(\d{4}-\d{2}-\d{2})$/.exec(key)?.[1])
+            .filter(Boolean)
+            .sort()[0];
+        fromDateStr = oldestDateStr || getLocalDateString(today);
+    }
+
+    if (fromInput) fromInput.value = fromDateStr;
+    if (toInput) toInput.value = getLocalDateString(today);
+}
+
+async function exportData() {
+    const from = document.getElementById('exportFrom')?.value;
+    const to = document.getElementById('exportTo')?.value;
+    const format = document.getElementById('exportFormat')?.value || 'csv';
+    const exportButton = document.getElementById('exportData');
+
+    if (!from || !to) {
+        showStatus('Choose a start and end date to export', 'error', 'dataStatus');
+        return;
+    }
+
+    try {
+        if (exportButton) exportButton.disabled = true;
+
+        const response = await chrome.runtime.sendMessage({ action: 'exportData', from, to });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Export failed');
+        }
+
+        const { range, days } = response.export;
+        const dayCount = Object.keys(days).length;
+        if (dayCount === 0) {
+            showStatus('No tracked data in that date range', 'error', 'dataStatus');
+            return;
+        }
+
+        const fileName = `time-tracker-${range.from}-to-${range.to}.${format}`;
+        if (format === 'json') {
+            downloadFile(fileName, JSON.stringify(response.export, null, 2), 'application/json');
+        } else {
+            downloadFile(fileName, buildCsvExport(days), 'text/csv');
+        }
+
+        showStatus(`Exported ${dayCount} day${dayCount !== 1 ? 's' : ''} to ${fileName}`, 'success', 'dataStatus');
+    } catch (error) {
+        console.error('❌ Error exporting data:', error);
+        showStatus('Error exporting data', 'error', 'dataStatus');
+    } finally {
+        if (exportButton) exportButton.disabled = false;
+    }
+}
+
+// One row per day and URL, longest first within a day
+function buildCsvExport(days) {
+    const rows = [EXPORT_CSV_COLUMNS];
+
+    Object.keys(days).sort().forEach(dateStr => {
+        Object.entries(days[dateStr])
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([url, timeMs]) => {
+                rows.push([dateStr, url, getDomain(url), Math.round(timeMs / 1000)]);
+            });
+    });
+
+    return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeCsvValue(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function getDomain(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return '';
+    }
+}
+
+function downloadFile(fileName, contents, mimeType) {
+    const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+async function previewImport() {
+    const file = document.getElementById('importFile')?.files?.[0];
+    const mode = document.getElementById('importMode')?.value || 'sum';
+
+    resetImportPreview();
+    if (!file) {
+        showStatus('Choose an export file to import', 'error', 'dataStatus');
+        return;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch {
+        showStatus('That file is not valid JSON', 'error', 'dataStatus');
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'importData', data, mode, dryRun: true });
+        if (!response?.success) {
+            showStatus(response?.error || 'Could not read the export file', 'error', 'dataStatus');
+            return;
+        }
+
+        pendingImport = { data, mode };
+        showImportSummary(response.summary);
+
+        const confirmButton = document.getElementById('confirmImport');
+        if (confirmButton) confirmButton.disabled = response.summary.days === 0;
+    } catch (error) {
+        console.error('❌ Error previewing import:', error);
+        showStatus('Error reading the export file', 'error', 'dataStatus');
+    }
+}
+
+async function confirmImport() {
+    if (!pendingImport) return;
+
+    const confirmButton = document.getElementById('confirmImport');
+    try {
+        if (confirmButton) confirmButton.disabled = true;
+
+        const response = await chrome.runtime.sendMessage({ action: 'importData', ...pendingImport, dryRun: false });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Import failed');
+        }
+
+        const { days } = response.summary;
+        resetImportPreview();
+        const fileInput = document.getElementById('importFile');
+        if (fileInput) fileInput.value = '';
+
+        showStatus(`Imported ${days} day${days !== 1 ? 's' : ''}`, 'success', 'dataStatus');
+        loadStorageUsage();
+    } catch (error) {
+        console.error('❌ Error importing data:', error);
+        showStatus('Error importing data', 'error', 'dataStatus');
+        if (confirmButton) confirmButton.disabled = false;
+    }
+}
+
+function showImportSummary(summary) {
+    const summaryElement = document.getElementById('importSummary');
+    if (!summaryElement) return;
+
+    const lines = [];
+    if (summary.days === 0) {
+        lines.push('Nothing to import.');
+    } else {
+        lines.push(`${summary.days} day${summary.days !== 1 ? 's' : ''} with ${summary.entries} page entries (${formatDuration(summary.importedMs)}) will be ${IMPORT_MODE_DESCRIPTIONS[summary.mode]}.`);
+        lines.push(`${summary.newDays} new, ${summary.existingDays} already tracked.`);
+    }
+    if (summary.skippedDays > 0) {
+        lines.push(`${summary.skippedDays} day${summary.skippedDays !== 1 ? 's' : ''} before ${summary.cutoffDate} will be skipped because they are older than the data that is kept.`);
+    }
+    if (summary.compactedDays > 0) {
+        lines.push(`${summary.compactedDays} day${summary.compactedDays !== 1 ? 's' : ''} will be skipped because ${summary.compactedDays !== 1 ? 'they are' : 'it is'} already compacted into monthly summaries.`);
+    }
+
+    summaryElement.textContent = lines.join(' ');
+    summaryElement.style.display = 'block';
+}
+
+function resetImportPreview() {
+    pendingImport = null;
+
+    const summaryElement = document.getElementById('importSummary');
+    if (summaryElement) {
+        summaryElement.textContent = '';
+        summaryElement.style.display = 'none';
+    }
+
+    const confirmButton = document.getElementById('confirmImport');
+    if (confirmButton) confirmButton.disabled = true;
+}
+
+function formatDuration(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// ==================== STORAGE USAGE ====================
+
+async function loadStorageUsage() {
+    const summary = document.getElementById('storageSummary');
+    const bar = document.getElementById('storageBarFill');
+    const tbody = document.getElementById('storageTableBody');
+    if (!summary || !bar || !tbody) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getStorageUsage' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Storage usage unavailable');
+        }
+
+        const { bytesInUse, quotaBytes, months, otherBytes } = response;
+        const percentage = Math.min(100, Math.round((bytesInUse / quotaBytes) * 100));
+
+        summary.textContent = `${formatBytes(bytesInUse)} of ${formatBytes(quotaBytes)} used (${percentage}%)`;
+        bar.style.width = `${percentage}%`;
+        bar.classList.toggle('warning', percentage >= 80);
+
+        tbody.innerHTML = '';
+        months.forEach(({ month, bytes, days, compacted }) => {
+            const [year, monthIndex] = month.split('-').map(Number);
+            const label = new Date(year, monthIndex - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+            tbody.appendChild(createStorageRow(compacted ? `${label} (summary)` : label, `${days} day${days !== 1 ? 's' : ''}`, bytes));
+        });
+        tbody.appendChild(createStorageRow('Settings and state', '', otherBytes));
+    } catch (error) {
+        console.error('❌ Error loading storage usage:', error);
+        summary.textContent = 'Storage usage unavailable';
+    }
+}
+
+function createStorageRow(label, days, bytes) {
+    const row = document.createElement('tr');
+    [label, days, formatBytes(bytes)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+function getLocalDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function createRemoveRowButton(row) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'remove-row-button';
+    button.title = 'Remove';
+    button.textContent = '✕';
+    button.addEventListener('click', () => {
+        row.remove();
+        clearStatus();
+    });
+    return button;
+}
+
 // Show status message
-function showStatus(message, type = 'success') {
-    const status = document.getElementById('status');
+function showStatus(message, type = 'success', statusId = 'status') {
+    const status = document.getElementById(statusId);
     if (status) {
         status.textContent = message;
         status.className = `status-message ${type}`;
 
         // Clear status after 3 seconds for success messages
         if (type === 'success') {
-            setTimeout(clearStatus, 3000);
+            setTimeout(() => clearStatus(statusId), 3000);
         }
     }
 }
 
 // Clear status message
-function clearStatus() {
-    const status = document.getElementById('status');
+function clearStatus(statusId = 'status') {
+    const status = document.getElementById(statusId);
     if (status) {
         status.textContent = '';
         status.className = 'status-message';
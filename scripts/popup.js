@@ -0,0 +1,273 @@
+/**
+ * Chrome Time Tracker - Toolbar Popup Script
+ *
+ * Shows the page being tracked right now with a live elapsed timer, today's
+ * total and top sites, and lets the user pause tracking with an optional
+ * auto-resume. Everything comes from the background through messages; the
+ * popup only counts the seconds between refreshes itself.
+ *
+ */
+
+const POPUP_REFRESH_INTERVAL_MS = 10000;
+const MIN_VISIT_DURATION_MS = 3000; // Matches the background's minimum recorded visit
+const DEFAULT_AUTO_RESUME_MINUTES = 10;
+
+// Last answer from the background and when it arrived, for the live timers
+let liveState = null;
+let fetchedAt = 0;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    setupActions();
+    await loadAutoResumeDuration();
+    await refreshPopup();
+
+    // Tick the timers every second and re-sync with the background now and then
+    setInterval(renderTimers, 1000);
+    setInterval(refreshPopup, POPUP_REFRESH_INTERVAL_MS);
+});
+
+function setupActions() {
+    const toggleButton = document.getElementById('toggleTracking');
+    if (toggleButton) {
+        toggleButton.addEventListener('click', toggleTracking);
+    }
+
+    const durationSelect = document.getElementById('autoResumeMinutes');
+    if (durationSelect) {
+        durationSelect.addEventListener('change', () => {
+            const customInput = document.getElementById('autoResumeCustomMinutes');
+            if (customInput) customInput.style.display = durationSelect.value === 'custom' ? 'inline-block' : 'none';
+        });
+    }
+
+    const openTrackerButton = document.getElementById('openTracker');
+    if (openTrackerButton) {
+        openTrackerButton.addEventListener('click', openTracker);
+    }
+
+    const openOptionsButton = document.getElementById('openOptions');
+    if (openOptionsButton) {
+        openOptionsButton.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+            window.close();
+        });
+    }
+}
+
+async function refreshPopup() {
+    try {
+        const [response, result] = await Promise.all([
+            chrome.runtime.sendMessage({ action: 'getCurrentSession' }),
+            chrome.storage.local.get(['autoResumeTimer'])
+        ]);
+        if (!response?.success) throw new Error(response?.error || 'No session data');
+
+        liveState = { ...response, autoResumeTimer: result.autoResumeTimer?.active ? result.autoResumeTimer : null };
+        fetchedAt = Date.now();
+
+        renderTrackingState();
+        renderTopSites();
+        renderTimers();
+    } catch (error) {
+        console.error('❌ Error loading current session:', error);
+    }
+}
+
+function renderTrackingState() {
+    const status = document.getElementById('trackingStatus');
+    const toggleButton = document.getElementById('toggleTracking');
+    const pauseOptions = document.getElementById('pauseOptions');
+    const sessionUrl = document.getElementById('sessionUrl');
+
+    if (status) {
+        const scheduled = liveState.isTracking && liveState.scheduledPause;
+        status.textContent = scheduled ? 'Scheduled pause' : (liveState.isTracking ? 'Tracking' : 'Paused');
+        status.classList.toggle('paused', scheduled || !liveState.isTracking);
+    }
+    if (toggleButton) {
+        toggleButton.textContent = liveState.isTracking ? 'Pause tracking' : 'Resume tracking';
+    }
+    if (pauseOptions) {
+        pauseOptions.style.display = liveState.isTracking ? 'flex' : 'none';
+    }
+    if (sessionUrl) {
+        // Incognito pages are counted separately and never named here
+        const url = liveState.session?.incognito ? '' : (liveState.session?.url || '');
+        const idleText = liveState.isTracking && !liveState.scheduledPause ? 'Nothing right now' : 'Tracking is paused';
+        sessionUrl.textContent = liveState.session?.incognito ? 'Incognito window' : (url || idleText);
+        sessionUrl.title = url;
+    }
+}
+
+function renderTopSites() {
+    const list = document.getElementById('topSites');
+    const noSitesMessage = document.getElementById('noSitesMessage');
+    if (!list) return;
+
+    list.innerHTML = '';
+    liveState.topSites.forEach(({ host, timeMs }) => {
+        const item = document.createElement('li');
+
+        const hostElement = document.createElement('span');
+        hostElement.className = 'top-site-host';
+        hostElement.textContent = host;
+
+        const timeElement = document.createElement('span');
+        timeElement.className = 'top-site-time';
+        timeElement.textContent = formatDuration(timeMs);
+
+        item.append(hostElement, timeElement);
+        list.appendChild(item);
+    });
+
+    if (noSitesMessage) {
+        noSitesMessage.style.display = liveState.topSites.length === 0 ? 'block' : 'none';
+    }
+}
+
+function renderTimers() {
+    if (!liveState) return;
+
+    const now = Date.now();
+    const session = liveState.isTracking ? liveState.session : null;
+
+    const elapsedElement = document.getElementById('sessionElapsed');
+    if (elapsedElement) {
+        elapsedElement.textContent = formatClock(session ? now - session.startTime : 0);
+    }
+
+    // Only a session the background already counts keeps adding to today
+    const countsToday = session && !session.incognito && session.duration >= MIN_VISIT_DURATION_MS;
+    const sinceFetchMs = countsToday ? now - fetchedAt : 0;
+    const totalElement = document.getElementById('todayTotal');
+    if (totalElement) {
+        totalElement.textContent = formatDuration(liveState.todayTotalMs + sinceFetchMs);
+    }
+
+    const countdown = document.getElementById('autoResumeCountdown');
+    if (countdown) {
+        const remaining = liveState.autoResumeTimer ? liveState.autoResumeTimer.endTime - now : 0;
+        countdown.style.display = !liveState.isTracking && remaining > 0 ? 'block' : 'none';
+        countdown.textContent = `Resumes automatically in ${formatClock(remaining)}`;
+    }
+}
+
+async function toggleTracking() {
+    const toggleButton = document.getElementById('toggleTracking');
+    if (toggleButton) toggleButton.disabled = true;
+
+    try {
+        if (liveState?.isTracking) {
+            const duration = getSelectedDuration();
+            if (duration === null) return;
+            await pauseTracking(duration);
+        } else {
+            await resumeTracking();
+        }
+        await refreshPopup();
+    } catch (error) {
+        console.error('❌ Error toggling tracking:', error);
+    } finally {
+        if (toggleButton) toggleButton.disabled = false;
+    }
+}
+
+// The statistics page shares the last chosen duration; "don't resume" isn't remembered
+async function loadAutoResumeDuration() {
+    const select = document.getElementById('autoResumeMinutes');
+    const customInput = document.getElementById('autoResumeCustomMinutes');
+    if (!select || !customInput) return;
+
+    try {
+        const result = await chrome.storage.local.get(['autoResumeDuration']);
+        const value = String(result.autoResumeDuration || DEFAULT_AUTO_RESUME_MINUTES);
+        const isPreset = Array.from(select.options).some(option => option.value === value);
+
+        select.value = isPreset ? value : 'custom';
+        customInput.value = isPreset ? '' : value;
+        customInput.style.display = isPreset ? 'none' : 'inline-block';
+    } catch (error) {
+        console.error('❌ Error loading auto-resume duration:', error);
+    }
+}
+
+// Minutes, 'tomorrow', 0 for no auto-resume, or null for an invalid custom value
+function getSelectedDuration() {
+    const select = document.getElementById('autoResumeMinutes');
+    if (!select) return 0;
+    if (select.value === 'tomorrow') return 'tomorrow';
+    if (select.value !== 'custom') return Number(select.value);
+
+    const customInput = document.getElementById('autoResumeCustomMinutes');
+    const minutes = Number(customInput?.value);
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+        customInput?.focus();
+        return null;
+    }
+    return minutes;
+}
+
+// "Tomorrow" resumes at the next local midnight
+function getAutoResumeEndTime(duration) {
+    if (duration === 'tomorrow') {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.getTime();
+    }
+    return Date.now() + duration * 60 * 1000;
+}
+
+// Same sequence as the statistics page, so either one can pick the timer up
+async function pauseTracking(duration) {
+    const endTime = duration ? getAutoResumeEndTime(duration) : 0;
+    const autoResumeMinutes = duration ? Math.round((endTime - Date.now()) / 60000) : 0;
+
+    await chrome.runtime.sendMessage({ action: 'disableTracking', autoResumeMinutes });
+    if (!duration) return;
+
+    await chrome.storage.local.set({
+        autoResumeDuration: duration,
+        autoResumeTimer: {
+            endTime: endTime,
+            active: true,
+            startTime: Date.now()
+        }
+    });
+    await chrome.runtime.sendMessage({ action: 'startAutoResumeTimer', endTime });
+}
+
+async function resumeTracking() {
+    await chrome.storage.local.remove(['autoResumeTimer']);
+    await chrome.runtime.sendMessage({ action: 'cancelAutoResumeTimer' });
+    await chrome.runtime.sendMessage({ action: 'enableTracking' });
+}
+
+// Opens the welcome page until the user turns it off, then the statistics
+async function openTracker() {
+    let targetPage = 'pages/welcome.html';
+    try {
+        const result = await chrome.storage.local.get(['showWelcomeOnStartup']);
+        const showWelcome = result.showWelcomeOnStartup !== false; // Default to true
+        targetPage = showWelcome ? 'pages/welcome.html' : 'pages/statistics.html';
+    } catch (error) {
+        console.error('❌ Error checking welcome preference, defaulting to welcome page:', error);
+    }
+
+    await chrome.tabs.create({ url: chrome.runtime.getURL(targetPage) });
+    window.close();
+}
+
+function formatClock(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function formatDuration(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
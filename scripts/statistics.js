@@ -29,8 +29,16 @@
  *    - Integration with background service worker
  *
  * 5. Date Navigation & URL Management:
- *    - Calendar-based date selection (current + 2 months back)
- *    - URL parameter handling for bookmarkable dates
+ *    - Calendar-based date selection back to the start of the retention period
+ *    - Compacted months shown from their monthly summary, marked "summary only"
+ *    - Per-category view, with untagged sites listed for quick tagging
+ *    - Productivity score and productive/neutral/distracting breakdown,
+ *      also marked on each calendar day
+ *    - Week, month and custom date ranges aggregated across daily buckets
+ *    - 24-hour timeline of when each site was open on the selected day
+ *    - Line/bar trend of daily or weekly totals across the retained months,
+ *      for all sites or a single site picked from the table or legend
+ *    - URL parameter handling for bookmarkable dates and ranges
  *    - Browser history integration with back/forward navigation
  *    - Automatic today selection for current month
  *
@@ -41,8 +49,11 @@
  *    - State synchronization between UI and background
  *
  * Key Features:
- * - Responsive calendar grid with data indicators
+ * - Responsive calendar grid shaded as a heatmap of daily totals
  * - Sortable website statistics table (top 20 + expand all)
+ * - Grouping by page, host or registrable domain with expandable rows
+ * - Daily budget progress bars next to sites that have a budget
+ * - Sites blocked by focus mode, with the number of attempts per site
  * - Interactive pie charts with click-to-hide legend entries
  * - Real-time tracking controls with visual feedback
  * - Auto-resume functionality with countdown display
@@ -57,6 +68,7 @@
  *
  * Storage Dependencies:
  * - `data_YYYY-MM-DD`: Daily website time data for visualization
+ * - `blocked_YYYY-MM-DD`: Focus mode blocked attempts for the selected day
  * - `isTracking`: Current tracking state for toggle switches
  * - `autoResumeTimer`: Timer state for countdown display
  *
@@ -69,6 +81,36 @@
  * @requires Chrome Extensions API
  */
 
+// ==================== CONSTANTS ====================
+
+// Second-level public suffixes under which the registrable domain has three labels
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in',
+    'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.sg', 'co.za',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev'
+]);
+
+// Matches the background's default when no retention period has been saved
+const DEFAULT_DATA_RETENTION_MONTHS = 3;
+
+// Group key for URLs that no category pattern matches
+const UNTAGGED_CATEGORY = 'Untagged';
+const MAX_UNTAGGED_SITES = 10;
+
+// Productivity score (0-100) at or above `high` reads as a good day, below `low` as a poor one
+const PRODUCTIVITY_SCORE_LEVELS = { high: 70, low: 40 };
+
+// Matches the background's anonymous entry for excluded sites
+const PRIVATE_BUCKET_URL = 'Private';
+
+// Used until the user picks another auto-resume duration
+const DEFAULT_AUTO_RESUME_MINUTES = 10;
+
+// Daily totals (in hours) at which a calendar day moves up a heatmap shade
+const HEATMAP_THRESHOLDS_HOURS = [1, 3, 6];
+
 // ==================== MAIN STATISTICS MANAGER CLASS ====================
 
 class StatisticsManager {
@@ -83,6 +125,26 @@ class StatisticsManager {
         this.chartHiddenItems = new Set();
         this.countdownInterval = null;
         this.autoRefreshEnabled = true;
+        this.autoResumeDuration = DEFAULT_AUTO_RESUME_MINUTES; // Minutes, or 'tomorrow'
+        this.budgetStatus = [];
+        this.blockedAttempts = [];
+        this.groupingMode = 'url';
+        this.expandedGroups = new Set();
+        this.selectedRange = null;
+        this.dailyTotals = {};
+        this.sessions = [];
+        this.trendChart = null;
+        this.trendSite = null;
+        this.trendChartType = 'line';
+        this.trendInterval = 'day';
+        this.earliestMonth = null;
+        this.monthArchive = null;
+        this.compactedDates = [];
+        this.urlCategories = {};
+        this.urlRatings = {};
+        this.knownCategories = [];
+        this.incognitoData = {};
+        this.showIncognito = false; // Incognito time stays out of sight until asked for
 
         console.log('📊 StatisticsManager: Initializing...');
         this.init();
@@ -93,7 +155,10 @@ class StatisticsManager {
             console.log('📊 StatisticsManager: Starting initialization...');
 
             this.setupEventListeners();
+            await this.loadAutoResumeDuration();
             await this.loadTrackingState();
+            await this.loadRetentionSettings();
+            await this.loadKnownCategories();
             await this.updateCalendar();
             await this.autoSelectToday();
             this.startAutoRefresh();
@@ -170,21 +235,29 @@ class StatisticsManager {
     }
 
     async refreshCurrentData() {
-        if (!this.selectedDate) {
+        const dateStrs = this.getSelectedDateStrings();
+        if (dateStrs.length === 0) {
             console.log('⏭️ No date selected, skipping refresh');
             return;
         }
 
-        const dateStr = this.getLocalDateString(this.selectedDate);
-        console.log(`🔄 Refreshing data for ${dateStr}...`);
+        console.log(`🔄 Refreshing data for ${dateStrs[0]}${dateStrs.length > 1 ? ` to ${dateStrs[dateStrs.length - 1]}` : ''}...`);
 
         try {
-            const result = await chrome.storage.local.get([`data_${dateStr}`]);
-            const newData = result[`data_${dateStr}`] || {};
+            const { data: newData, blockedAttempts: newBlockedAttempts, dailyTotals, sessions, incognitoData } = await this.fetchSelectionData(dateStrs);
 
-            if (JSON.stringify(this.currentData) !== JSON.stringify(newData)) {
+            if (JSON.stringify(this.currentData) !== JSON.stringify(newData) ||
+                JSON.stringify(this.incognitoData) !== JSON.stringify(incognitoData) ||
+                newBlockedAttempts.length !== this.blockedAttempts.length) {
                 console.log('📊 Data has changed, updating display');
                 this.currentData = newData;
+                this.incognitoData = incognitoData;
+                this.blockedAttempts = newBlockedAttempts;
+                this.dailyTotals = dailyTotals;
+                this.sessions = sessions;
+                await this.loadUrlCategories(Object.keys(newData));
+                await this.loadUrlRatings(Object.keys(newData));
+                await this.loadBudgetStatus(dateStrs);
                 this.displayDataOrNoDataMessage();
                 await this.updateCalendar();
 
@@ -209,6 +282,7 @@ class StatisticsManager {
         this.setupAutoResumeControls();
         this.setupCalendarControls();
         this.setupTableControls();
+        this.setupTrendControls();
         this.setupWindowEvents();
         this.checkExistingAutoResumeTimer();
     }
@@ -229,9 +303,10 @@ class StatisticsManager {
                 this.hideAutoResumeContainer();
                 this.stopAutoResumeTimer();
             } else {
-                await this.disableTracking(10);
+                const endTime = this.getAutoResumeEndTime();
+                await this.disableTracking(Math.round((endTime - Date.now()) / 60000));
                 this.showAutoResumeContainer();
-                this.startAutoResumeTimer(10);
+                this.startAutoResumeTimer(endTime);
             }
 
             this.updateToggleLabel(isEnabled);
@@ -258,6 +333,11 @@ class StatisticsManager {
         if (cancelAutoResumeBtn) {
             cancelAutoResumeBtn.addEventListener('click', () => this.cancelAutoResume());
         }
+
+        const durationSelect = document.getElementById('autoResumeDuration');
+        const customMinutesInput = document.getElementById('autoResumeCustomMinutes');
+        if (durationSelect) durationSelect.addEventListener('change', () => this.onAutoResumeDurationChange());
+        if (customMinutesInput) customMinutesInput.addEventListener('change', () => this.onAutoResumeDurationChange());
     }
 
     setupCalendarControls() {
@@ -266,6 +346,14 @@ class StatisticsManager {
 
         if (prevBtn) prevBtn.addEventListener('click', () => this.changeMonth(-1));
         if (nextBtn) nextBtn.addEventListener('click', () => this.changeMonth(1));
+
+        const rangeSelect = document.getElementById('rangeSelect');
+        const applyRangeBtn = document.getElementById('applyRange');
+        const viewArchiveBtn = document.getElementById('viewMonthArchive');
+
+        if (viewArchiveBtn) viewArchiveBtn.addEventListener('click', () => this.openCurrentMonthArchive());
+        if (rangeSelect) rangeSelect.addEventListener('change', (e) => this.onRangeSelectChange(e.target.value));
+        if (applyRangeBtn) applyRangeBtn.addEventListener('click', () => this.applyCustomRange());
     }
 
     setupTableControls() {
@@ -273,6 +361,46 @@ class StatisticsManager {
         if (expandBtn) {
             expandBtn.addEventListener('click', () => this.toggleUrlList());
         }
+
+        const groupingSelect = document.getElementById('groupingMode');
+        if (groupingSelect) {
+            groupingSelect.addEventListener('change', (e) => this.setGroupingMode(e.target.value));
+        }
+
+        const incognitoToggle = document.getElementById('showIncognito');
+        if (incognitoToggle) {
+            incognitoToggle.addEventListener('change', (e) => {
+                this.showIncognito = e.target.checked;
+                this.updateIncognitoTime();
+            });
+        }
+    }
+
+    setupTrendControls() {
+        const chartTypeSelect = document.getElementById('trendChartType');
+        const intervalSelect = document.getElementById('trendInterval');
+        const showAllBtn = document.getElementById('trendShowAll');
+
+        if (chartTypeSelect) {
+            chartTypeSelect.addEventListener('change', (e) => {
+                this.trendChartType = e.target.value;
+                this.updateTrendChart();
+            });
+        }
+
+        if (intervalSelect) {
+            intervalSelect.addEventListener('change', (e) => {
+                this.trendInterval = e.target.value;
+                this.updateTrendChart();
+            });
+        }
+
+        if (showAllBtn) {
+            showAllBtn.addEventListener('click', () => {
+                this.trendSite = null;
+                this.updateTrendChart();
+            });
+        }
     }
 
     setupWindowEvents() {
@@ -351,10 +479,8 @@ class StatisticsManager {
 
     // ==================== AUTO-RESUME TIMER MANAGEMENT ====================
 
-    async startAutoResumeTimer(minutes) {
-        console.log(`⏰ Starting auto-resume timer for ${minutes} minutes`);
-
-        const endTime = Date.now() + (minutes * 60 * 1000);
+    async startAutoResumeTimer(endTime = this.getAutoResumeEndTime()) {
+        console.log(`⏰ Starting auto-resume timer until ${new Date(endTime).toLocaleString()}`);
 
         await chrome.storage.local.set({
             autoResumeTimer: {
@@ -391,35 +517,108 @@ class StatisticsManager {
                 return;
             }
 
-            const minutes = Math.floor(remaining / (60 * 1000));
-            const seconds = Math.floor((remaining % (60 * 1000)) / 1000);
-            timerElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+            timerElement.textContent = this.formatCountdown(remaining);
         }, 1000);
     }
 
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    async loadAutoResumeDuration() {
+        try {
+            const result = await chrome.storage.local.get(['autoResumeDuration']);
+            const duration = result.autoResumeDuration;
+            if (duration === 'tomorrow' || (Number.isInteger(duration) && duration > 0)) {
+                this.autoResumeDuration = duration;
+            }
+        } catch (error) {
+            console.error('❌ Error loading auto-resume duration:', error);
+        }
+
+        this.updateAutoResumeDurationControls();
+    }
+
+    // Durations that aren't one of the presets show up as a custom number of minutes
+    updateAutoResumeDurationControls() {
+        const durationSelect = document.getElementById('autoResumeDuration');
+        const customMinutesInput = document.getElementById('autoResumeCustomMinutes');
+        if (!durationSelect || !customMinutesInput) return;
+
+        const value = String(this.autoResumeDuration);
+        const isPreset = Array.from(durationSelect.options).some(option => option.value === value);
+        durationSelect.value = isPreset ? value : 'custom';
+        customMinutesInput.style.display = isPreset ? 'none' : 'inline-block';
+        if (!isPreset) customMinutesInput.value = value;
+    }
+
+    async onAutoResumeDurationChange() {
+        const durationSelect = document.getElementById('autoResumeDuration');
+        const customMinutesInput = document.getElementById('autoResumeCustomMinutes');
+        if (!durationSelect || !customMinutesInput) return;
+
+        if (durationSelect.value === 'custom') {
+            customMinutesInput.style.display = 'inline-block';
+            const minutes = Number(customMinutesInput.value);
+            if (!Number.isInteger(minutes) || minutes <= 0) {
+                customMinutesInput.focus();
+                return;
+            }
+            this.autoResumeDuration = minutes;
+        } else {
+            customMinutesInput.style.display = 'none';
+            this.autoResumeDuration = durationSelect.value === 'tomorrow' ? 'tomorrow' : Number(durationSelect.value);
+        }
+
+        await chrome.storage.local.set({ autoResumeDuration: this.autoResumeDuration });
+
+        // A running countdown restarts with the new duration
+        if (this.countdownInterval) {
+            await this.startAutoResumeTimer();
+            this.showNotification(`⏰ Tracking will resume ${this.describeAutoResumeDuration()}`, 'info');
+        } else {
+            this.showResetAutoResumeState();
+        }
+    }
+
+    // "Until tomorrow" resumes at the next local midnight
+    getAutoResumeEndTime(duration = this.autoResumeDuration) {
+        if (duration === 'tomorrow') {
+            const midnight = new Date();
+            midnight.setHours(24, 0, 0, 0);
+            return midnight.getTime();
+        }
+        return Date.now() + duration * 60 * 1000;
+    }
+
+    describeAutoResumeDuration(duration = this.autoResumeDuration) {
+        if (duration === 'tomorrow') return 'at midnight';
+        return `in ${duration} minute${duration !== 1 ? 's' : ''}`;
+    }
+
     showAutoResumeTimer() {
         this.updateAutoResumeUI(true, 'Cancel Auto-Resume');
     }
 
     showResetAutoResumeState() {
         this.updateAutoResumeUI(false, 'Enable Auto-Resume');
-        const timerElement = document.getElementById('timerCountdown');
-        if (timerElement) timerElement.textContent = '10:00';
         this.stopAutoResumeTimer();
+        const timerElement = document.getElementById('timerCountdown');
+        if (timerElement) timerElement.textContent = this.formatCountdown(this.getAutoResumeEndTime() - Date.now());
     }
 
     updateAutoResumeUI(isActive, buttonText) {
         const timerContainer = document.getElementById('autoResumeTimer');
         const autoResumeContainer = document.getElementById('autoResumeContainer');
         const cancelBtn = document.getElementById('cancelAutoResume');
-        const autoResumeOption = document.querySelector('.auto-resume-option');
-        const autoResumeCheckbox = document.getElementById('autoResumeCheckbox');
 
         if (autoResumeContainer) autoResumeContainer.style.display = 'block';
         if (timerContainer) timerContainer.style.display = 'flex';
-        if (autoResumeOption) autoResumeOption.style.display = 'none';
         if (cancelBtn) cancelBtn.textContent = buttonText;
-        if (autoResumeCheckbox) autoResumeCheckbox.checked = true;
     }
 
     showAutoResumeContainer() {
@@ -440,8 +639,8 @@ class StatisticsManager {
 
         if (currentText === 'Enable Auto-Resume') {
             console.log('▶️ Enabling auto-resume timer');
-            this.startAutoResumeTimer(10);
-            this.showNotification('⏰ Auto-resume enabled - tracking will resume in 10 minutes', 'info');
+            this.startAutoResumeTimer();
+            this.showNotification(`⏰ Auto-resume enabled - tracking will resume ${this.describeAutoResumeDuration()}`, 'info');
         } else {
             console.log('⏹️ Cancelling auto-resume timer');
             await this.cancelActiveTimer();
@@ -518,9 +717,9 @@ class StatisticsManager {
 
     async autoSelectToday() {
         const urlParams = new URLSearchParams(window.location.search);
-        const dateParam = urlParams.get('date');
+        const hasSelectionParam = ['date', 'range', 'from'].some(param => urlParams.has(param));
 
-        if (!dateParam) {
+        if (!hasSelectionParam) {
             console.log('📅 Auto-selecting today');
             await this.selectDate(new Date());
         } else {
@@ -536,6 +735,13 @@ class StatisticsManager {
         if (!this.isValidMonthNavigation(newDate)) return;
 
         this.currentDate = newDate;
+
+        // Browsing the calendar keeps a selected range in view
+        if (this.selectedRange) {
+            this.updateCalendar();
+            return;
+        }
+
         this.selectedDate = null;
 
         const now = new Date();
@@ -554,14 +760,45 @@ class StatisticsManager {
         }
     }
 
+    /**
+     * Sets the first month the calendar can show: the start of the retention
+     * period, or the month of the oldest recorded day when retention is
+     * unlimited.
+     */
+    async loadRetentionSettings() {
+        const now = new Date();
+
+        try {
+            const result = await chrome.storage.local.get(['dataRetentionMonths']);
+            const months = Number(result.dataRetentionMonths ?? DEFAULT_DATA_RETENTION_MONTHS);
+
+            if (months > 0) {
+                this.earliestMonth = new Date(now.getFullYear(), now.getMonth() - months, 1);
+                return;
+            }
+
+            const allData = await chrome.storage.local.get(null);
+            // Compacted months count too: their daily keys are gone but the summary remains
+            const oldestDateStr = Object.keys(allData)
+                .map(key => /^data_(\d{4}-\d{2}-\d{2})$/.exec(key)?.[1] || /^summary_(\d{4}-\d{2})$/.exec(key)?.[1]?.concat('-01'))
+                .filter(Boolean)
+                .sort()[0];
+            const oldestDate = this.parseDateString(oldestDateStr) || now;
+            this.earliestMonth = new Date(oldestDate.getFullYear(), oldestDate.getMonth(), 1);
+        } catch (error) {
+            console.error('❌ Error loading retention settings:', error);
+            this.earliestMonth = new Date(now.getFullYear(), now.getMonth() - DEFAULT_DATA_RETENTION_MONTHS, 1);
+        }
+    }
+
     isValidMonthNavigation(newDate) {
         const now = new Date();
-        const twoMonthsAgo = new Date(now.getFullYear(), now.getMonth() - 2, 1);
+        const earliestMonth = this.earliestMonth;
 
-        // Don't allow going before 2 months ago
-        if (newDate.getFullYear() < twoMonthsAgo.getFullYear() ||
-            (newDate.getFullYear() === twoMonthsAgo.getFullYear() && newDate.getMonth() < twoMonthsAgo.getMonth())) {
-            console.log('📅 Cannot navigate before 2 months ago');
+        // Don't allow going before the retention period
+        if (newDate.getFullYear() < earliestMonth.getFullYear() ||
+            (newDate.getFullYear() === earliestMonth.getFullYear() && newDate.getMonth() < earliestMonth.getMonth())) {
+            console.log('📅 Cannot navigate before the retention period');
             return false;
         }
 
@@ -602,13 +839,13 @@ class StatisticsManager {
         if (!prevBtn || !nextBtn) return;
 
         const now = new Date();
-        const twoMonthsAgo = new Date(now.getFullYear(), now.getMonth() - 2, 1);
+        const earliestMonth = this.earliestMonth;
         const prevMonth = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth() - 1, 1);
         const nextMonth = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth() + 1, 1);
 
-        prevBtn.disabled = prevMonth.getFullYear() < twoMonthsAgo.getFullYear() ||
-                          (prevMonth.getFullYear() === twoMonthsAgo.getFullYear() &&
-                           prevMonth.getMonth() < twoMonthsAgo.getMonth());
+        prevBtn.disabled = prevMonth.getFullYear() < earliestMonth.getFullYear() ||
+                          (prevMonth.getFullYear() === earliestMonth.getFullYear() &&
+                           prevMonth.getMonth() < earliestMonth.getMonth());
 
         nextBtn.disabled = nextMonth.getFullYear() > now.getFullYear() ||
                           (nextMonth.getFullYear() === now.getFullYear() &&
@@ -631,6 +868,7 @@ class StatisticsManager {
         const lastDay = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth() + 1, 0);
         const today = new Date();
         const todayStr = this.getLocalDateString(today);
+        const monthSummary = await this.loadMonthSummary(lastDay.getDate());
 
         // Add empty cells for days before month start
         for (let i = 0; i < firstDay.getDay(); i++) {
@@ -641,14 +879,16 @@ class StatisticsManager {
 
         // Add calendar days
         for (let day = 1; day <= lastDay.getDate(); day++) {
-            const dayElement = await this.createCalendarDay(day, todayStr, today);
+            const dayElement = this.createCalendarDay(day, todayStr, today, monthSummary);
             container.appendChild(dayElement);
         }
 
+        this.updateMonthArchiveNotice();
+
         console.log('📅 Calendar grid generated');
     }
 
-    async createCalendarDay(day, todayStr, today) {
+    createCalendarDay(day, todayStr, today, monthSummary) {
         const dayElement = document.createElement('button');
         dayElement.className = 'calendar-day';
         dayElement.textContent = day;
@@ -660,9 +900,15 @@ class StatisticsManager {
         );
         const dateStr = this.getLocalDateString(cellDate);
 
-        // Check if date has data
-        if (await this.hasDataForDate(dateStr)) {
-            dayElement.classList.add('has-data');
+        // Shade by total tracked time
+        const summary = monthSummary[dateStr];
+        if (summary) {
+            dayElement.classList.add('has-data', `heat-${this.getHeatLevel(summary.totalMs)}`);
+            dayElement.title = this.formatDayTooltip(cellDate, summary);
+            if (summary.compacted) dayElement.classList.add('compacted');
+            if (summary.score !== null && summary.score !== undefined) {
+                dayElement.classList.add(`score-${this.getScoreLevel(summary.score)}`);
+            }
         }
 
         // Handle future dates
@@ -679,44 +925,389 @@ class StatisticsManager {
             dayElement.classList.add('selected');
         }
 
+        if (this.selectedRange && dateStr >= this.selectedRange.from && dateStr <= this.selectedRange.to) {
+            dayElement.classList.add('in-range');
+        }
+
         return dayElement;
     }
 
-    async hasDataForDate(dateStr) {
+    /**
+     * Reads every day of the displayed month in one storage call and reduces
+     * each to its total, top host and productivity score. Days without data
+     * are left out; days that only survive in the month's compacted summary are flagged
+     * `compacted` and get the month's top domain.
+     */
+    async loadMonthSummary(daysInMonth) {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        const dateStrs = [];
+        const summaryKey = `summary_${this.getLocalDateString(this.currentDate).slice(0, 7)}`;
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            dateStrs.push(this.getLocalDateString(this.createDateFromCalendarDay(year, month, day)));
+        }
+
         try {
-            const result = await chrome.storage.local.get([`data_${dateStr}`]);
-            const data = result[`data_${dateStr}`];
-            return data && Object.keys(data).length > 0;
+            const result = await chrome.storage.local.get([...dateStrs.map(dateStr => `data_${dateStr}`), summaryKey]);
+            const summary = {};
+            const archive = result[summaryKey] || null;
+            await this.loadUrlRatings([...new Set(dateStrs.flatMap(dateStr => Object.keys(result[`data_${dateStr}`] || {})))]);
+            this.monthArchive = archive;
+
+            const [archiveTopSite, archiveTopSiteMs] = Object.entries(archive?.domains || {})
+                .sort(([, a], [, b]) => b - a)[0] || ['', 0];
+            Object.entries(archive?.days || {}).forEach(([dateStr, totalMs]) => {
+                if (totalMs > 0) {
+                    summary[dateStr] = { totalMs, topSite: archiveTopSite, topSiteMs: archiveTopSiteMs, compacted: true };
+                }
+            });
+
+            dateStrs.forEach(dateStr => {
+                const data = result[`data_${dateStr}`];
+                if (!data || Object.keys(data).length === 0) return;
+
+                const hostTotals = new Map();
+                let totalMs = 0;
+                Object.entries(data).forEach(([url, timeMs]) => {
+                    const host = this.getHostname(url);
+                    hostTotals.set(host, (hostTotals.get(host) || 0) + timeMs);
+                    totalMs += timeMs;
+                });
+
+                const [topSite, topSiteMs] = [...hostTotals.entries()].sort(([, a], [, b]) => b - a)[0];
+                summary[dateStr] = { totalMs, topSite, topSiteMs, score: this.calculateProductivity(data).score };
+            });
+
+            return summary;
         } catch (error) {
-            console.error('❌ Error checking data for date:', error);
-            return false;
+            console.error('❌ Error loading month data:', error);
+            return {};
         }
     }
 
+    getHeatLevel(totalMs) {
+        const hours = totalMs / 3600000;
+        return 1 + HEATMAP_THRESHOLDS_HOURS.filter(threshold => hours >= threshold).length;
+    }
+
+    formatDayTooltip(date, { totalMs, topSite, topSiteMs, compacted, score }) {
+        const label = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+        if (compacted) {
+            return `${label}: ${this.formatTime(totalMs)} tracked (summary only)\nTop site this month: ${topSite} (${this.formatTime(topSiteMs)})`;
+        }
+        const scoreLine = score !== null ? `\nProductivity score: ${score}` : '';
+        return `${label}: ${this.formatTime(totalMs)} tracked\nTop site: ${topSite} (${this.formatTime(topSiteMs)})${scoreLine}`;
+    }
+
+    updateMonthArchiveNotice() {
+        const notice = document.getElementById('monthArchiveNotice');
+        if (!notice) return;
+
+        const hasArchive = Object.keys(this.monthArchive?.days || {}).length > 0;
+        notice.style.display = hasArchive ? 'flex' : 'none';
+    }
+
+    // ==================== COMPACTED MONTHS ====================
+
+    /**
+     * Shows a month that cleanup compacted into a `summary_YYYY-MM` record.
+     * Only month-level totals survive compaction, so this replaces the daily
+     * table, timeline and charts with domain totals and the top pages.
+     */
+    showMonthArchive(monthKey, archive) {
+        const view = document.getElementById('monthArchiveView');
+        if (!view || !archive) return;
+
+        this.toggleStatisticsDisplay(false);
+        this.hideSelectionExtras();
+        const noDataMessage = document.getElementById('noDataMessage');
+        if (noDataMessage) noDataMessage.style.display = 'none';
+
+        const title = document.getElementById('monthArchiveTitle');
+        if (title) {
+            const monthDate = this.parseDateString(`${monthKey}-01`);
+            title.textContent = `Summary for ${monthDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+        }
+
+        const dayTotals = Object.values(archive.days || {});
+        const activeDays = dayTotals.filter(total => total > 0).length;
+        const cards = document.getElementById('monthArchiveCards');
+        if (cards) {
+            cards.innerHTML = '';
+            cards.append(
+                this.createSummaryCard('Total time', this.formatTime(archive.totalMs || 0)),
+                this.createSummaryCard('Daily average', this.formatTime(activeDays > 0 ? archive.totalMs / activeDays : 0)),
+                this.createSummaryCard('Days with data', String(activeDays))
+            );
+        }
+
+        this.fillArchiveTable('monthArchiveDomains', archive.domains, (domain) => document.createTextNode(domain));
+        this.fillArchiveTable('monthArchiveUrls', archive.topUrls, (url) => {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = url;
+            return link;
+        });
+
+        view.style.display = 'block';
+    }
+
+    fillArchiveTable(tbodyId, totals, createLabel) {
+        const tbody = document.getElementById(tbodyId);
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        Object.entries(totals || {})
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 20)
+            .forEach(([key, timeMs]) => {
+                const row = document.createElement('tr');
+
+                const labelCell = document.createElement('td');
+                labelCell.appendChild(createLabel(key));
+                row.appendChild(labelCell);
+
+                const timeCell = document.createElement('td');
+                timeCell.textContent = this.formatTime(timeMs);
+                row.appendChild(timeCell);
+
+                tbody.appendChild(row);
+            });
+    }
+
+    hideMonthArchive() {
+        const view = document.getElementById('monthArchiveView');
+        if (view) view.style.display = 'none';
+    }
+
+    openCurrentMonthArchive() {
+        if (!this.monthArchive) return;
+        this.showMonthArchive(this.getLocalDateString(this.currentDate).slice(0, 7), this.monthArchive);
+    }
+
     async selectDate(date) {
         console.log('🎯 Selecting date:', date);
         this.selectedDate = date;
+        this.selectedRange = null;
+        this.updateRangeControls();
         this.updateUrl();
         await this.loadDataForDate();
         await this.updateCalendar();
     }
 
+    // ==================== DATE RANGES ====================
+
+    onRangeSelectChange(value) {
+        const customInputs = document.getElementById('customRangeInputs');
+        if (customInputs) customInputs.style.display = value === 'custom' ? 'flex' : 'none';
+
+        if (value === 'day') {
+            this.selectDate(this.selectedDate || new Date());
+        } else if (value !== 'custom') {
+            this.selectRange(this.getPresetRange(value));
+        }
+    }
+
+    applyCustomRange() {
+        const from = document.getElementById('rangeFrom')?.value;
+        const to = document.getElementById('rangeTo')?.value;
+
+        if (!this.parseDateString(from) || !this.parseDateString(to)) {
+            this.showNotification('Please choose a start and end date', 'error');
+            return;
+        }
+
+        this.selectRange(this.getCustomRange(from, to));
+    }
+
+    // Accepts the dates in either order, e.g. from a hand-edited bookmark
+    getCustomRange(from, to) {
+        return from <= to
+            ? { preset: 'custom', from, to }
+            : { preset: 'custom', from: to, to: from };
+    }
+
+    getPresetRange(preset) {
+        const today = new Date();
+        const year = today.getFullYear();
+        const month = today.getMonth();
+        const weekStart = today.getDate() - today.getDay(); // Weeks start on Sunday, like the calendar
+        const toStr = (y, m, d) => this.getLocalDateString(this.createDateFromCalendarDay(y, m, d));
+
+        const ranges = {
+            'this-week': { from: toStr(year, month, weekStart), to: toStr(year, month, today.getDate()) },
+            'last-week': { from: toStr(year, month, weekStart - 7), to: toStr(year, month, weekStart - 1) },
+            'this-month': { from: toStr(year, month, 1), to: toStr(year, month, today.getDate()) },
+            'last-month': { from: toStr(year, month - 1, 1), to: toStr(year, month, 0) }
+        };
+
+        // Unknown presets (e.g. a mistyped ?range=) fall back to this week, select included
+        const knownPreset = Object.hasOwn(ranges, preset) ? preset : 'this-week';
+        return { preset: knownPreset, ...ranges[knownPreset] };
+    }
+
+    async selectRange(range, { pushHistory = true } = {}) {
+        console.log(`🎯 Selecting range: ${range.from} to ${range.to}`);
+        this.selectedRange = range;
+        this.selectedDate = null;
+
+        const toDate = this.parseDateString(range.to);
+        this.currentDate = new Date(toDate.getFullYear(), toDate.getMonth(), 1);
+
+        this.updateRangeControls();
+        if (pushHistory) this.updateUrl();
+        await this.loadDataForDate();
+        await this.updateCalendar();
+    }
+
+    updateRangeControls() {
+        const rangeSelect = document.getElementById('rangeSelect');
+        const customInputs = document.getElementById('customRangeInputs');
+        const preset = this.selectedRange?.preset || 'day';
+
+        if (rangeSelect) rangeSelect.value = preset;
+        if (customInputs) customInputs.style.display = preset === 'custom' ? 'flex' : 'none';
+
+        if (this.selectedRange) {
+            const fromInput = document.getElementById('rangeFrom');
+            const toInput = document.getElementById('rangeTo');
+            if (fromInput) fromInput.value = this.selectedRange.from;
+            if (toInput) toInput.value = this.selectedRange.to;
+        }
+    }
+
+    /**
+     * Date strings covered by the current selection. Days after today are
+     * left out so that averages only count days that could have data.
+     */
+    getSelectedDateStrings() {
+        if (!this.selectedRange) {
+            return this.selectedDate ? [this.getLocalDateString(this.selectedDate)] : [];
+        }
+
+        const todayStr = this.getLocalDateString(new Date());
+        const from = this.parseDateString(this.selectedRange.from);
+        const dateStrs = [];
+
+        for (let offset = 0; ; offset++) {
+            const date = this.createDateFromCalendarDay(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+            const dateStr = this.getLocalDateString(date);
+            if (dateStr > this.selectedRange.to || dateStr > todayStr) break;
+            dateStrs.push(dateStr);
+        }
+
+        return dateStrs;
+    }
+
+    updateRangeSummary() {
+        const summary = document.getElementById('rangeSummary');
+        if (!summary) return;
+
+        if (!this.selectedRange) {
+            summary.style.display = 'none';
+            return;
+        }
+
+        const dayCount = Object.keys(this.dailyTotals).length;
+        const activeDays = Object.values(this.dailyTotals).filter(total => total > 0).length;
+        const totalMs = Object.values(this.dailyTotals).reduce((sum, total) => sum + total, 0);
+
+        const topSites = new Map();
+        Object.entries(this.currentData).forEach(([url, timeMs]) => {
+            const host = this.getHostname(url);
+            topSites.set(host, (topSites.get(host) || 0) + timeMs);
+        });
+
+        summary.innerHTML = '';
+
+        if (this.compactedDates.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'summary-only-note';
+            note.textContent = `${this.compactedDates.length} day${this.compactedDates.length !== 1 ? 's' : ''} in this range ` +
+                'are only kept as monthly summaries and are not included below.';
+            summary.appendChild(note);
+        }
+
+        summary.append(
+            this.createSummaryCard('Total time', this.formatTime(totalMs)),
+            this.createSummaryCard('Daily average', this.formatTime(dayCount > 0 ? totalMs / dayCount : 0)),
+            this.createSummaryCard('Days with data', `${activeDays} of ${dayCount}`)
+        );
+
+        const topCard = this.createSummaryCard('Top sites', '');
+        const list = document.createElement('ol');
+        list.className = 'summary-top-sites';
+        [...topSites.entries()]
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .forEach(([host, timeMs]) => {
+                const item = document.createElement('li');
+                item.textContent = `${host} – ${this.formatTime(timeMs)}`;
+                list.appendChild(item);
+            });
+        topCard.querySelector('.summary-value').replaceWith(list);
+        summary.appendChild(topCard);
+
+        summary.style.display = 'grid';
+    }
+
+    createSummaryCard(label, value) {
+        const card = document.createElement('div');
+        card.className = 'summary-card';
+
+        const labelElement = document.createElement('div');
+        labelElement.className = 'summary-label';
+        labelElement.textContent = label;
+
+        const valueElement = document.createElement('div');
+        valueElement.className = 'summary-value';
+        valueElement.textContent = value;
+
+        card.append(labelElement, valueElement);
+        return card;
+    }
+
     // ==================== DATA LOADING AND DISPLAY ====================
 
+    /**
+     * Loads the selected day, or every day of the selected range summed into
+     * one URL -> milliseconds map, with a single storage read.
+     */
     async loadDataForDate() {
-        if (!this.selectedDate) {
+        const dateStrs = this.getSelectedDateStrings();
+        if (dateStrs.length === 0) {
             this.showNoDataMessage();
             return;
         }
 
-        const dateStr = this.getLocalDateString(this.selectedDate);
-        console.log('📥 Loading data for date:', dateStr);
+        console.log('📥 Loading data for:', dateStrs.length === 1 ? dateStrs[0] : `${dateStrs.length} days`);
 
         try {
-            const result = await chrome.storage.local.get([`data_${dateStr}`]);
-            this.currentData = result[`data_${dateStr}`] || {};
+            const { data, blockedAttempts, dailyTotals, sessions, archives, incognitoData } = await this.fetchSelectionData(dateStrs);
+            this.currentData = data;
+            this.incognitoData = incognitoData;
+            this.blockedAttempts = blockedAttempts;
+            this.dailyTotals = dailyTotals;
+            this.sessions = sessions;
+            this.compactedDates = dateStrs.filter(dateStr =>
+                dailyTotals[dateStr] === 0 && archives[dateStr.slice(0, 7)]?.days?.[dateStr] !== undefined);
+            await this.loadUrlCategories(Object.keys(data));
+            await this.loadUrlRatings(Object.keys(data));
+            await this.loadBudgetStatus(dateStrs);
+
+            console.log('📊 Loaded data - URLs:', Object.keys(this.currentData).length);
+
+            // A day that only exists in a compacted summary opens the month summary
+            if (Object.keys(data).length === 0 && this.compactedDates.length > 0) {
+                const monthKey = this.compactedDates[0].slice(0, 7);
+                this.showMonthArchive(monthKey, archives[monthKey]);
+                return;
+            }
 
-            console.log('📊 Loaded data for', dateStr, '- URLs:', Object.keys(this.currentData).length);
             this.displayDataOrNoDataMessage();
         } catch (error) {
             console.error('❌ Error loading data for date:', error);
@@ -724,41 +1315,128 @@ class StatisticsManager {
         }
     }
 
+    async fetchSelectionData(dateStrs) {
+        const monthKeys = [...new Set(dateStrs.map(dateStr => dateStr.slice(0, 7)))];
+        const keys = [
+            ...dateStrs.flatMap(dateStr => [`data_${dateStr}`, `blocked_${dateStr}`, `sessions_${dateStr}`, `incognito_${dateStr}`]),
+            ...monthKeys.map(monthKey => `summary_${monthKey}`)
+        ];
+        const result = await chrome.storage.local.get(keys);
+        const archives = Object.fromEntries(monthKeys
+            .filter(monthKey => result[`summary_${monthKey}`])
+            .map(monthKey => [monthKey, result[`summary_${monthKey}`]]));
+
+        const data = {};
+        const blockedAttempts = [];
+        const dailyTotals = {};
+        const sessions = [];
+        const incognitoData = {};
+
+        dateStrs.forEach(dateStr => {
+            const dayData = result[`data_${dateStr}`] || {};
+            dailyTotals[dateStr] = 0;
+
+            Object.entries(dayData).forEach(([url, timeMs]) => {
+                data[url] = (data[url] || 0) + timeMs;
+                dailyTotals[dateStr] += timeMs;
+            });
+
+            blockedAttempts.push(...(result[`blocked_${dateStr}`] || []));
+            sessions.push(...(result[`sessions_${dateStr}`] || []));
+
+            // Kept apart from `data` so it never reaches the totals, table or charts
+            Object.entries(result[`incognito_${dateStr}`] || {}).forEach(([url, timeMs]) => {
+                incognitoData[url] = (incognitoData[url] || 0) + timeMs;
+            });
+        });
+
+        return { data, blockedAttempts, dailyTotals, sessions, archives, incognitoData };
+    }
+
+    async loadBudgetStatus(dateStrs) {
+        // Budgets are daily, so progress bars only make sense for a single day
+        if (dateStrs.length !== 1) {
+            this.budgetStatus = [];
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getBudgetStatus', date: dateStrs[0] });
+            this.budgetStatus = response?.success ? response.budgets : [];
+        } catch (error) {
+            console.error('❌ Error loading budget status:', error);
+            this.budgetStatus = [];
+        }
+    }
+
     displayDataOrNoDataMessage() {
         if (Object.keys(this.currentData).length === 0) {
             this.showNoDataMessage();
         } else {
             this.displayStatistics();
         }
+        // Incognito time and blocked attempts can exist on a day without tracked time
+        this.updateIncognitoTime();
+        this.updateBlockedAttempts();
     }
 
     showNoDataMessage() {
         this.toggleStatisticsDisplay(false);
+        this.hideSelectionExtras();
         const noDataMessage = document.getElementById('noDataMessage');
         if (noDataMessage) {
             noDataMessage.style.display = 'block';
-            noDataMessage.innerHTML = '<p>No viewing data available for this date.</p>';
+            noDataMessage.innerHTML = `<p>No viewing data available for this ${this.selectedRange ? 'date range' : 'date'}.</p>`;
         }
     }
 
+    /**
+     * Hides the incognito and blocked-attempt sections, which sit outside
+     * the main statistics block and so aren't hidden with it.
+     */
+    hideSelectionExtras() {
+        ['incognitoContainer', 'blockedAttemptsContainer'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) container.style.display = 'none';
+        });
+    }
+
     displayStatistics() {
         this.toggleStatisticsDisplay(true);
         this.updateSelectedDateDisplay();
+        this.updateProductivitySummary();
+        this.updateRangeSummary();
         this.showingAllUrls = false;
         this.updateTable();
+        this.updateUntaggedSites();
+        this.updateTimeline();
         this.updateChart();
+        this.updateTrendChart();
     }
 
     toggleStatisticsDisplay(showStatistics) {
         const noDataMessage = document.getElementById('noDataMessage');
         const statisticsContent = document.getElementById('statisticsContent');
 
+        this.hideMonthArchive();
         if (noDataMessage) noDataMessage.style.display = showStatistics ? 'none' : 'block';
         if (statisticsContent) statisticsContent.style.display = showStatistics ? 'block' : 'none';
     }
 
     updateSelectedDateDisplay() {
         const selectedDateElement = document.getElementById('selectedDate');
+
+        if (selectedDateElement && this.selectedRange) {
+            const format = (dateStr) => this.parseDateString(dateStr).toLocaleDateString('en-US', {
+                weekday: 'short',
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+            selectedDateElement.textContent = `Statistics for ${format(this.selectedRange.from)} – ${format(this.selectedRange.to)}`;
+            return;
+        }
+
         if (selectedDateElement && this.selectedDate) {
             selectedDateElement.textContent = `Statistics for ${this.selectedDate.toLocaleDateString('en-US', {
                 weekday: 'long',
@@ -782,6 +1460,11 @@ class StatisticsManager {
 
         tbody.innerHTML = '';
 
+        if (this.groupingMode !== 'url') {
+            this.updateGroupedTable(tbody, expandBtn);
+            return;
+        }
+
         const sortedEntries = Object.entries(this.currentData)
             .sort(([,a], [,b]) => b - a);
 
@@ -796,20 +1479,203 @@ class StatisticsManager {
         console.log(`✅ Table updated with ${entriesToShow.length} entries`);
     }
 
+    updateGroupedTable(tbody, expandBtn) {
+        const groups = this.getGroupedEntries();
+        const groupsToShow = this.showingAllUrls ? groups : groups.slice(0, 20);
+
+        groupsToShow.forEach(group => {
+            const isExpanded = this.expandedGroups.has(group.key);
+            tbody.appendChild(this.createGroupRow(group, isExpanded));
+
+            if (isExpanded) {
+                group.urls.forEach(([url, timeMs]) => {
+                    const row = this.createTableRow(url, timeMs);
+                    row.classList.add('child-row');
+                    tbody.appendChild(row);
+                });
+            }
+        });
+
+        this.updateExpandButton(expandBtn, groups.length);
+        console.log(`✅ Table updated with ${groupsToShow.length} groups`);
+    }
+
+    createGroupRow(group, isExpanded) {
+        const row = document.createElement('tr');
+        row.className = 'group-row';
+
+        const nameCell = document.createElement('td');
+        const toggle = document.createElement('button');
+        toggle.className = 'group-toggle';
+        toggle.textContent = `${isExpanded ? '▾' : '▸'} ${group.key}`;
+        toggle.setAttribute('aria-expanded', String(isExpanded));
+        toggle.addEventListener('click', () => this.toggleGroup(group.key));
+        nameCell.appendChild(toggle);
+
+        const count = document.createElement('span');
+        count.className = 'group-count';
+        count.textContent = `${group.urls.length} page${group.urls.length !== 1 ? 's' : ''}`;
+        nameCell.appendChild(count);
+        row.appendChild(nameCell);
+
+        const timeCell = document.createElement('td');
+        timeCell.textContent = this.formatTime(group.timeMs);
+        row.appendChild(timeCell);
+
+        this.makeRowOpenTrend(row, group.key, this.groupingMode);
+        return row;
+    }
+
+    toggleGroup(key) {
+        if (this.expandedGroups.has(key)) {
+            this.expandedGroups.delete(key);
+        } else {
+            this.expandedGroups.add(key);
+        }
+        this.updateTable();
+    }
+
+    setGroupingMode(mode) {
+        this.groupingMode = mode;
+        this.expandedGroups.clear();
+        this.chartHiddenItems.clear();
+        console.log('📊 Grouping mode:', mode);
+
+        if (this.currentData && Object.keys(this.currentData).length > 0) {
+            this.updateTable();
+            this.updateUntaggedSites();
+            this.updateChart();
+        }
+    }
+
+    /**
+     * Rolls the day's URLs up by host or registrable domain. Each group keeps
+     * its URLs (largest first) so the row can be expanded.
+     */
+    getGroupedEntries() {
+        const groups = new Map();
+
+        Object.entries(this.currentData).forEach(([url, timeMs]) => {
+            const key = this.getGroupKey(url);
+            const group = groups.get(key) || { key, timeMs: 0, urls: [] };
+            group.timeMs += timeMs;
+            group.urls.push([url, timeMs]);
+            groups.set(key, group);
+        });
+
+        return [...groups.values()]
+            .map(group => ({ ...group, urls: group.urls.sort(([,a], [,b]) => b - a) }))
+            .sort((a, b) => b.timeMs - a.timeMs);
+    }
+
+    getGroupKey(url, mode = this.groupingMode) {
+        if (mode === 'category') {
+            return this.urlCategories[url] || UNTAGGED_CATEGORY;
+        }
+
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch {
+            return url;
+        }
+
+        if (!hostname) return url;
+        return mode === 'domain' ? this.getRegistrableDomain(hostname) : hostname;
+    }
+
+    /**
+     * Approximates the registrable domain (eTLD+1) without shipping the full
+     * public suffix list: the last two labels, or three when the last two are
+     * a common second-level suffix such as co.uk.
+     */
+    getRegistrableDomain(hostname) {
+        if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) return hostname; // IP address
+
+        const labels = hostname.split('.');
+        if (labels.length <= 2) return hostname;
+
+        const lastTwo = labels.slice(-2).join('.');
+        const labelCount = MULTI_PART_SUFFIXES.has(lastTwo) ? 3 : 2;
+        return labels.slice(-labelCount).join('.');
+    }
+
+    /**
+     * Entries the pie chart is built from: raw URLs, or group totals when a
+     * grouping mode is active.
+     */
+    getChartEntries() {
+        if (this.groupingMode === 'url') {
+            return Object.entries(this.currentData);
+        }
+        return this.getGroupedEntries().map(group => [group.key, group.timeMs]);
+    }
+
+    getGroupingNoun() {
+        return { url: 'pages', host: 'hosts', domain: 'domains', category: 'categories' }[this.groupingMode] || 'pages';
+    }
+
     createTableRow(url, timeMs) {
         const row = document.createElement('tr');
 
         const urlCell = document.createElement('td');
-        urlCell.innerHTML = `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`;
+        if (url === PRIVATE_BUCKET_URL) {
+            urlCell.textContent = url;
+        } else {
+            urlCell.innerHTML = `<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`;
+        }
         row.appendChild(urlCell);
 
         const timeCell = document.createElement('td');
         timeCell.textContent = this.formatTime(timeMs);
         row.appendChild(timeCell);
 
+        const budget = this.budgetStatus.find(b => b.matchingUrls.includes(url));
+        if (budget) {
+            timeCell.appendChild(this.createBudgetProgress(budget));
+        }
+
+        this.makeRowOpenTrend(row, url, 'url');
         return row;
     }
 
+    makeRowOpenTrend(row, key, mode) {
+        row.classList.add('trend-row');
+        row.title = 'Click to show the daily trend';
+        row.addEventListener('click', (e) => {
+            // Links and the expand toggle keep their own behavior
+            if (e.target.closest('a, button')) return;
+            this.showSiteTrend(key, mode);
+        });
+    }
+
+    createBudgetProgress(budget) {
+        const percentage = (budget.usedMs / budget.limitMs) * 100;
+        const container = document.createElement('div');
+        container.className = 'budget-progress';
+        container.title = `${budget.pattern}: ${this.formatTime(budget.usedMs)} of ${this.formatTime(budget.limitMs)} daily budget`;
+
+        const bar = document.createElement('div');
+        bar.className = 'budget-progress-bar';
+
+        const fill = document.createElement('div');
+        fill.className = 'budget-progress-fill';
+        if (percentage >= 100) {
+            fill.classList.add('exceeded');
+        } else if (percentage >= 80) {
+            fill.classList.add('warning');
+        }
+        fill.style.width = `${Math.min(100, percentage)}%`;
+        bar.appendChild(fill);
+
+        const label = document.createElement('span');
+        label.className = 'budget-progress-label';
+        label.textContent = `${Math.round(percentage)}% of ${Math.round(budget.limitMs / 60000)} min budget`;
+
+        container.append(bar, label);
+        return container;
+    }
+
     updateExpandButton(expandBtn, totalEntries) {
         if (!expandBtn) return;
 
@@ -827,6 +1693,555 @@ class StatisticsManager {
         this.updateChart();
     }
 
+    // ==================== CATEGORIES ====================
+
+    async loadUrlCategories(urls) {
+        await this.lookUpUrls('getUrlCategories', 'categories', this.urlCategories, urls);
+    }
+
+    /**
+     * Asks the background to match each URL not in `cache` yet and stores the
+     * answer there. Matching lives in the background so it can't drift from
+     * the options. Unmatched URLs are cached as null so they aren't asked again.
+     */
+    async lookUpUrls(action, resultKey, cache, urls) {
+        const missing = urls.filter(url => !(url in cache));
+        if (missing.length === 0) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action, urls: missing });
+            if (!response?.success) return;
+
+            missing.forEach(url => {
+                cache[url] = response[resultKey][url] || null;
+            });
+        } catch (error) {
+            console.error(`❌ Error loading URL ${resultKey}:`, error);
+        }
+    }
+
+    async loadKnownCategories() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSiteCategories' });
+            if (response?.success) {
+                this.knownCategories = [...new Set(response.categories.map(entry => entry.category))].sort();
+            }
+        } catch (error) {
+            console.error('❌ Error loading site categories:', error);
+        }
+    }
+
+    updateUntaggedSites() {
+        const container = document.getElementById('untaggedContainer');
+        const list = document.getElementById('untaggedList');
+        if (!container || !list) return;
+
+        list.innerHTML = '';
+
+        const untagged = new Map();
+        Object.entries(this.currentData)
+            .filter(([url]) => !this.urlCategories[url] && url !== PRIVATE_BUCKET_URL)
+            .forEach(([url, timeMs]) => {
+                const host = this.getHostname(url);
+                untagged.set(host, (untagged.get(host) || 0) + timeMs);
+            });
+
+        if (this.groupingMode !== 'category' || untagged.size === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        this.updateCategoryOptions();
+
+        [...untagged.entries()]
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, MAX_UNTAGGED_SITES)
+            .forEach(([host, timeMs]) => list.appendChild(this.createUntaggedRow(host, timeMs)));
+
+        container.style.display = 'block';
+    }
+
+    createUntaggedRow(host, timeMs) {
+        const row = document.createElement('div');
+        row.className = 'untagged-row';
+
+        const label = document.createElement('span');
+        label.className = 'untagged-host';
+        label.textContent = `${host} – ${this.formatTime(timeMs)}`;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'control-select untagged-input';
+        input.placeholder = 'Category';
+        input.setAttribute('list', 'categoryOptions');
+
+        const button = document.createElement('button');
+        button.className = 'refresh-stats-btn';
+        button.textContent = 'Tag';
+
+        const tag = () => this.tagSite(host, input.value, button);
+        button.addEventListener('click', tag);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') tag();
+        });
+
+        row.append(label, input, button);
+        return row;
+    }
+
+    updateCategoryOptions() {
+        const datalist = document.getElementById('categoryOptions');
+        if (!datalist) return;
+
+        datalist.innerHTML = '';
+        this.knownCategories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            datalist.appendChild(option);
+        });
+    }
+
+    async tagSite(host, category, button) {
+        const trimmedCategory = category.trim();
+        if (!trimmedCategory) {
+            this.showNotification('Enter a category first', 'error');
+            return;
+        }
+
+        try {
+            this.setButtonState(button, 'Saving...', true);
+            const response = await chrome.runtime.sendMessage({ action: 'addSiteCategory', pattern: host, category: trimmedCategory });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Could not save category');
+            }
+
+            // Re-categorize this host's URLs now that the mapping changed
+            Object.keys(this.urlCategories)
+                .filter(url => this.getHostname(url) === host)
+                .forEach(url => delete this.urlCategories[url]);
+            if (!this.knownCategories.includes(trimmedCategory)) {
+                this.knownCategories = [...this.knownCategories, trimmedCategory].sort();
+            }
+
+            await this.loadUrlCategories(Object.keys(this.currentData));
+            this.updateTable();
+            this.updateUntaggedSites();
+            this.updateChart();
+            this.showNotification(`Tagged ${host} as ${trimmedCategory}`, 'success');
+        } catch (error) {
+            console.error('❌ Error tagging site:', error);
+            this.showNotification('Could not save the category', 'error');
+            this.setButtonState(button, 'Tag', false);
+        }
+    }
+
+    // ==================== PRODUCTIVITY ====================
+
+    async loadUrlRatings(urls) {
+        await this.lookUpUrls('getUrlRatings', 'ratings', this.urlRatings, urls);
+    }
+
+    /**
+     * Splits `data` into productive, neutral and distracting time. The score is
+     * the productive share of rated time (0-100), or null when nothing visited
+     * is rated, so neutral browsing neither helps nor hurts it.
+     */
+    calculateProductivity(data) {
+        const breakdown = { productive: 0, neutral: 0, distracting: 0 };
+        Object.entries(data).forEach(([url, timeMs]) => {
+            breakdown[this.urlRatings[url] || 'neutral'] += timeMs;
+        });
+
+        const ratedMs = breakdown.productive + breakdown.distracting;
+        const score = ratedMs > 0 ? Math.round((breakdown.productive / ratedMs) * 100) : null;
+        return { ...breakdown, score };
+    }
+
+    getScoreLevel(score) {
+        if (score >= PRODUCTIVITY_SCORE_LEVELS.high) return 'high';
+        if (score < PRODUCTIVITY_SCORE_LEVELS.low) return 'low';
+        return 'mid';
+    }
+
+    updateProductivitySummary() {
+        const container = document.getElementById('productivitySummary');
+        if (!container) return;
+
+        const { productive, neutral, distracting, score } = this.calculateProductivity(this.currentData);
+        if (score === null) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const scoreElement = document.getElementById('productivityScore');
+        scoreElement.textContent = score;
+        scoreElement.className = `productivity-score score-${this.getScoreLevel(score)}`;
+
+        const totalMs = productive + neutral + distracting;
+        const bar = document.getElementById('productivityBar');
+        const legend = document.getElementById('productivityLegend');
+        bar.innerHTML = '';
+        legend.innerHTML = '';
+
+        [['productive', 'Productive', productive], ['neutral', 'Neutral', neutral], ['distracting', 'Distracting', distracting]]
+            .forEach(([rating, label, timeMs]) => {
+                const segment = document.createElement('div');
+                segment.className = `productivity-segment ${rating}`;
+                segment.style.width = `${(timeMs / totalMs) * 100}%`;
+                segment.title = `${label}: ${this.formatTime(timeMs)}`;
+                bar.appendChild(segment);
+
+                const item = document.createElement('span');
+                item.className = `productivity-legend-item ${rating}`;
+                item.textContent = `${label} ${this.formatTime(timeMs)}`;
+                legend.appendChild(item);
+            });
+
+        container.style.display = 'flex';
+    }
+
+    // ==================== INCOGNITO TIME ====================
+
+    updateIncognitoTime() {
+        const container = document.getElementById('incognitoContainer');
+        const details = document.getElementById('incognitoDetails');
+        const total = document.getElementById('incognitoTotal');
+        const tbody = document.getElementById('incognitoTableBody');
+        if (!container || !details || !total || !tbody) return;
+
+        const hasIncognitoTime = Object.keys(this.incognitoData).length > 0;
+        container.style.display = hasIncognitoTime ? 'block' : 'none';
+
+        tbody.innerHTML = '';
+        total.textContent = '';
+        if (!hasIncognitoTime || !this.showIncognito) {
+            details.style.display = 'none';
+            return;
+        }
+
+        const byHost = new Map();
+        let totalMs = 0;
+        Object.entries(this.incognitoData).forEach(([url, timeMs]) => {
+            const host = this.getHostname(url);
+            byHost.set(host, (byHost.get(host) || 0) + timeMs);
+            totalMs += timeMs;
+        });
+
+        [...byHost.entries()]
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([host, timeMs]) => {
+                const row = document.createElement('tr');
+
+                const siteCell = document.createElement('td');
+                siteCell.textContent = host;
+                row.appendChild(siteCell);
+
+                const timeCell = document.createElement('td');
+                timeCell.textContent = this.formatTime(timeMs);
+                row.appendChild(timeCell);
+
+                tbody.appendChild(row);
+            });
+
+        total.textContent = this.formatTime(totalMs);
+        details.style.display = 'block';
+    }
+
+    // ==================== BLOCKED ATTEMPTS ====================
+
+    updateBlockedAttempts() {
+        const container = document.getElementById('blockedAttemptsContainer');
+        const tbody = document.getElementById('blockedAttemptsTableBody');
+        if (!container || !tbody) return;
+
+        tbody.innerHTML = '';
+
+        if (this.blockedAttempts.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const bySite = new Map();
+        this.blockedAttempts.forEach(({ url, reason }) => {
+            let host;
+            try {
+                host = new URL(url).hostname;
+            } catch {
+                host = url;
+            }
+
+            const entry = bySite.get(host) || { count: 0, reasons: new Set() };
+            entry.count++;
+            entry.reasons.add(reason === 'budget' ? 'over budget' : 'focus mode');
+            bySite.set(host, entry);
+        });
+
+        [...bySite.entries()]
+            .sort(([, a], [, b]) => b.count - a.count)
+            .forEach(([host, { count, reasons }]) => {
+                const row = document.createElement('tr');
+
+                const siteCell = document.createElement('td');
+                siteCell.textContent = host;
+                row.appendChild(siteCell);
+
+                const reasonCell = document.createElement('td');
+                reasonCell.textContent = [...reasons].join(', ');
+                row.appendChild(reasonCell);
+
+                const countCell = document.createElement('td');
+                countCell.textContent = `${count} attempt${count !== 1 ? 's' : ''}`;
+                row.appendChild(countCell);
+
+                tbody.appendChild(row);
+            });
+
+        container.style.display = 'block';
+    }
+
+    // ==================== TIMELINE ====================
+
+    /**
+     * Draws the selected day's sessions on a 24-hour bar. Segments are colored
+     * per host with the same palette as the pie chart; the timeline is hidden
+     * for date ranges and for days recorded before intervals were stored.
+     */
+    updateTimeline() {
+        const container = document.getElementById('timelineContainer');
+        const track = document.getElementById('timelineTrack');
+        const axis = document.getElementById('timelineAxis');
+        if (!container || !track || !axis) return;
+
+        track.innerHTML = '';
+        axis.innerHTML = '';
+
+        if (this.selectedRange || !this.selectedDate || this.sessions.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const date = this.selectedDate;
+        const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+        const dayLength = dayEnd - dayStart;
+        const hostColors = this.getTimelineHostColors();
+
+        this.sessions.forEach(({ url, start, end }) => {
+            const clampedStart = Math.max(start, dayStart);
+            const clampedEnd = Math.min(end, dayEnd);
+            if (clampedEnd <= clampedStart) return;
+
+            const host = this.getHostname(url);
+            const segment = document.createElement('div');
+            segment.className = 'timeline-segment';
+            segment.style.left = `${((clampedStart - dayStart) / dayLength) * 100}%`;
+            segment.style.width = `${((clampedEnd - clampedStart) / dayLength) * 100}%`;
+            segment.style.backgroundColor = hostColors.get(host) || '#C9CBCF';
+            segment.title = `${host}\n${this.formatClockTime(clampedStart)} – ${this.formatClockTime(clampedEnd)} (${this.formatTime(clampedEnd - clampedStart)})\n${url}`;
+            track.appendChild(segment);
+        });
+
+        for (let hour = 0; hour <= 24; hour += 3) {
+            const tick = document.createElement('span');
+            tick.className = 'timeline-tick';
+            tick.style.left = `${(hour / 24) * 100}%`;
+            tick.textContent = `${String(hour).padStart(2, '0')}:00`;
+            axis.appendChild(tick);
+        }
+
+        container.style.display = 'block';
+    }
+
+    getTimelineHostColors() {
+        const hostTotals = new Map();
+        Object.entries(this.currentData).forEach(([url, timeMs]) => {
+            const host = this.getHostname(url);
+            const entry = hostTotals.get(host) || [url, 0];
+            entry[1] += timeMs;
+            hostTotals.set(host, entry);
+        });
+
+        const entries = [...hostTotals.values()].sort(([, a], [, b]) => b - a);
+        const colors = this.generateDomainConsistentColors(entries);
+
+        return new Map(entries.map(([url], index) => [this.getHostname(url), colors[index]]));
+    }
+
+    formatClockTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        });
+    }
+
+    // ==================== TREND CHARTS ====================
+
+    /**
+     * Charts total time per day (or week) over the same window the calendar
+     * can navigate. `trendSite` narrows it to one page, host or domain, keyed
+     * the way the grouping mode it was picked in keys it.
+     */
+    async updateTrendChart() {
+        const container = document.getElementById('trendContainer');
+        const canvas = document.getElementById('trendChart');
+        if (!container || !canvas) return;
+
+        if (typeof Chart === 'undefined') {
+            console.warn('⚠️ Chart.js not available, hiding trend chart');
+            container.style.display = 'none';
+            return;
+        }
+
+        try {
+            const days = await this.loadTrendData();
+            if (this.trendSite?.mode === 'category') {
+                await this.loadUrlCategories([...new Set(days.flatMap(([, dayData]) => Object.keys(dayData)))]);
+            }
+            const trendData = this.prepareTrendData(days);
+
+            this.updateTrendHeading();
+            container.style.display = 'block';
+            this.renderTrendChart(canvas, trendData);
+        } catch (error) {
+            console.error('❌ Error updating trend chart:', error);
+            container.style.display = 'none';
+        }
+    }
+
+    async loadTrendData() {
+        const today = new Date();
+        const dateStrs = [];
+
+        for (let day = 1; ; day++) {
+            const date = this.createDateFromCalendarDay(this.earliestMonth.getFullYear(), this.earliestMonth.getMonth(), day);
+            if (date > today) break;
+            dateStrs.push(this.getLocalDateString(date));
+        }
+
+        const monthKeys = [...new Set(dateStrs.map(dateStr => `summary_${dateStr.slice(0, 7)}`))];
+        const result = await chrome.storage.local.get([...dateStrs.map(dateStr => `data_${dateStr}`), ...monthKeys]);
+
+        // Compacted days only have a total left in their month's summary, or null when not compacted
+        return dateStrs.map(dateStr => {
+            const dayData = result[`data_${dateStr}`];
+            const summaryMs = dayData ? undefined : result[`summary_${dateStr.slice(0, 7)}`]?.days?.[dateStr];
+            return [dateStr, dayData || {}, summaryMs ?? null];
+        });
+    }
+
+    /**
+     * Sums each day or week. A compacted day counts with its summary total
+     * for all sites, but a single site's share of it is unknown, so it adds
+     * nothing there. Either way its bucket is flagged as summary only.
+     */
+    prepareTrendData(days) {
+        const buckets = new Map();
+        const summaryOnlyBuckets = new Set();
+
+        days.forEach(([dateStr, dayData, summaryMs]) => {
+            const bucketKey = this.trendInterval === 'week' ? this.getWeekStartString(dateStr) : dateStr;
+            let total = Object.entries(dayData)
+                .filter(([url]) => !this.trendSite || this.getGroupKey(url, this.trendSite.mode) === this.trendSite.key)
+                .reduce((sum, [, timeMs]) => sum + timeMs, 0);
+
+            if (summaryMs !== null) {
+                summaryOnlyBuckets.add(bucketKey);
+                if (!this.trendSite) total = summaryMs;
+            }
+
+            buckets.set(bucketKey, (buckets.get(bucketKey) || 0) + total);
+        });
+
+        const labels = [...buckets.keys()].map(dateStr => {
+            const label = this.parseDateString(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            return this.trendInterval === 'week' ? `Week of ${label}` : label;
+        });
+
+        return {
+            labels,
+            values: [...buckets.values()],
+            summaryOnly: [...buckets.keys()].map(bucketKey => summaryOnlyBuckets.has(bucketKey))
+        };
+    }
+
+    getWeekStartString(dateStr) {
+        const date = this.parseDateString(dateStr);
+        const weekStart = this.createDateFromCalendarDay(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+        return this.getLocalDateString(weekStart);
+    }
+
+    renderTrendChart(canvas, trendData) {
+        if (this.trendChart?.destroy) {
+            this.trendChart.destroy();
+        }
+
+        const isLine = this.trendChartType === 'line';
+        const ctx = canvas.getContext('2d');
+        const summaryOnlyColor = '#a0aec0';
+        const pointColors = trendData.summaryOnly.map(summaryOnly => summaryOnly ? summaryOnlyColor : '#667eea');
+
+        this.trendChart = new Chart(ctx, {
+            type: isLine ? 'line' : 'bar',
+            data: {
+                labels: trendData.labels,
+                datasets: [{
+                    label: this.trendSite ? this.trendSite.key : 'All sites',
+                    data: trendData.values.map(ms => Math.round(ms / 36000) / 100), // hours, 2 decimals
+                    backgroundColor: isLine ? 'rgba(102, 126, 234, 0.15)' : pointColors,
+                    borderColor: '#667eea',
+                    borderWidth: 2,
+                    fill: isLine,
+                    tension: 0.25,
+                    pointRadius: isLine ? trendData.summaryOnly.map(summaryOnly => summaryOnly ? 4 : 2) : 0,
+                    pointBackgroundColor: pointColors,
+                    pointBorderColor: pointColors
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: { callback: (value) => `${value}h` }
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => this.formatTime(trendData.values[context.dataIndex]) +
+                                (trendData.summaryOnly[context.dataIndex] ? ' (summary only)' : '')
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    updateTrendHeading() {
+        const title = document.getElementById('trendTitle');
+        const showAllBtn = document.getElementById('trendShowAll');
+        const interval = this.trendInterval === 'week' ? 'Weekly' : 'Daily';
+
+        if (title) {
+            title.textContent = this.trendSite
+                ? `${interval} time on ${this.trendSite.key}`
+                : `${interval} total, all sites`;
+        }
+        if (showAllBtn) showAllBtn.style.display = this.trendSite ? 'inline-block' : 'none';
+    }
+
+    showSiteTrend(key, mode) {
+        this.trendSite = { key, mode };
+        console.log('📈 Showing trend for:', key);
+
+        this.updateTrendChart().then(() => {
+            document.getElementById('trendContainer')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
     // ==================== CHART MANAGEMENT ====================
 
     updateChart() {
@@ -867,7 +2282,7 @@ class StatisticsManager {
     }
 
     prepareChartData() {
-        const sortedEntries = Object.entries(this.currentData)
+        const sortedEntries = this.getChartEntries()
             .sort(([,a], [,b]) => b - a)
             .slice(0, 20);
 
@@ -883,7 +2298,7 @@ class StatisticsManager {
         });
 
         if (filteredEntries.length === 0) {
-            return { isEmpty: true, message: 'No pages viewed for 1% or more of the time.' };
+            return { isEmpty: true, message: `No ${this.getGroupingNoun()} viewed for 1% or more of the time.` };
         }
 
         this.chartHiddenItems = this.chartHiddenItems || new Set();
@@ -949,7 +2364,11 @@ class StatisticsManager {
                             generateLabels: (chart) => this.generateChartLabels(chart, chartData)
                         },
                         onClick: (e, legendItem) => {
-                            if (legendItem.url) {
+                            if (!legendItem.url) return;
+
+                            if (e.native?.shiftKey) {
+                                this.showSiteTrend(legendItem.url, this.groupingMode);
+                            } else {
                                 this.toggleChartItem(legendItem.url);
                             }
                         }
@@ -1063,13 +2482,14 @@ class StatisticsManager {
         `;
 
         const hiddenCount = this.chartHiddenItems?.size || 0;
-        let explanationText = `Pages with at least 1% of viewing time (${filteredCount} of ${totalCount} pages).`;
+        const noun = this.getGroupingNoun();
+        let explanationText = `${noun[0].toUpperCase()}${noun.slice(1)} with at least 1% of viewing time (${filteredCount} of ${totalCount} ${noun}).`;
 
         if (hiddenCount > 0) {
             explanationText += ` ${hiddenCount} entries are currently hidden.`;
         }
 
-        explanationText += ` Click legend entries below the chart to exclude/include pages from the chart.`;
+        explanationText += ` Click legend entries below the chart to exclude/include ${noun} from the chart, or shift-click one to see its daily trend.`;
         explanation.textContent = explanationText;
 
         const canvas = document.getElementById('pieChart');
@@ -1164,6 +2584,22 @@ class StatisticsManager {
         return new Date(year, month, day, 12, 0, 0);
     }
 
+    parseDateString(dateStr) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) return null;
+
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = this.createDateFromCalendarDay(year, month - 1, day);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    getHostname(url) {
+        try {
+            return new URL(url).hostname || url;
+        } catch {
+            return url;
+        }
+    }
+
     shortenUrl(url) {
         try {
             const urlObj = new URL(url);
@@ -1249,11 +2685,17 @@ class StatisticsManager {
 
     updateUrl() {
         const url = new URL(window.location);
-        if (this.selectedDate) {
+        ['date', 'range', 'from', 'to'].forEach(param => url.searchParams.delete(param));
+
+        if (this.selectedRange?.preset === 'custom') {
+            url.searchParams.set('from', this.selectedRange.from);
+            url.searchParams.set('to', this.selectedRange.to);
+        } else if (this.selectedRange) {
+            // Presets stay relative, so a bookmarked "this week" follows the calendar
+            url.searchParams.set('range', this.selectedRange.preset);
+        } else if (this.selectedDate) {
             const dateStr = this.getLocalDateString(this.selectedDate);
             url.searchParams.set('date', dateStr);
-        } else {
-            url.searchParams.delete('date');
         }
         window.history.pushState({}, '', url);
     }
@@ -1261,6 +2703,21 @@ class StatisticsManager {
     updateFromUrl() {
         const urlParams = new URLSearchParams(window.location.search);
         const dateParam = urlParams.get('date');
+        const rangeParam = urlParams.get('range');
+        const fromParam = urlParams.get('from');
+        const toParam = urlParams.get('to');
+
+        if (rangeParam) {
+            console.log('📅 Loading range from URL:', rangeParam);
+            this.selectRange(this.getPresetRange(rangeParam), { pushHistory: false });
+            return;
+        }
+
+        if (this.parseDateString(fromParam) && this.parseDateString(toParam)) {
+            console.log(`📅 Loading custom range from URL: ${fromParam} to ${toParam}`);
+            this.selectRange(this.getCustomRange(fromParam, toParam), { pushHistory: false });
+            return;
+        }
 
         if (dateParam) {
             console.log('📅 Loading date from URL:', dateParam);
@@ -1269,6 +2726,8 @@ class StatisticsManager {
 
             if (!isNaN(date.getTime())) {
                 this.selectedDate = date;
+                this.selectedRange = null;
+                this.updateRangeControls();
                 this.currentDate = new Date(date.getFullYear(), date.getMonth(), 1);
                 this.updateCalendar();
                 this.loadDataForDate();
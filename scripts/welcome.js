@@ -3,7 +3,7 @@
  *
  * Handles the "Display this page on startup" checkbox functionality
  * on the welcome page. Saves and loads user preference for showing
- * the welcome page when the extension icon is clicked.
+ * the welcome page when the tracker is opened from the toolbar popup.
  *
  */
 